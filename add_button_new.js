@@ -1,12 +1,14 @@
 // ==UserScript==
 // @name         QuickBooks Invoice Print + Pick Slip
 // @namespace    http://tampermonkey.net/
-// @version      6.4
-// @description  Generates delivery notes and pick slips from the current QuickBooks invoice UI
+// @version      6.29
+// @description  Generates delivery notes and pick slips from the current QuickBooks invoice, estimate, sales receipt, credit memo or purchase order UI
 // @author       Raj - Gorkhari
 // @match        https://qbo.intuit.com/*
-// @run-at       document-idle
+// @run-at       document-start
 // @grant        none
+// @require      https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js#sha256=98ccf17aa10c20bb1301762618fcc9b6ab3a4e7f26b6071d64d0b41154df3875
+// @require      https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js#sha256=e87e550794322e574a1fda0c1549a3c70dae5a93d9113417a429016838eab8cb
 // ==/UserScript==
 
 (function () {
@@ -18,6 +20,232 @@
     initialBootDelayMs: 2200,
     stableReadAttempts: 6,
     stableReadDelayMs: 250,
+    // Scroll virtualised line grids to read every row.
+    harvestByScrolling: true,
+    harvestScrollDelayMs: 150,
+    harvestMaxScrollSteps: 200,
+    useCapturedPayloads: true,
+    maxCapturedTransactions: 50,
+    payloadDateLocale: "en-AU",
+    /*
+     * Locale QBO shows quantities in, e.g. "de-DE" for 1.234,5.
+     * "auto" works the separators out per value.
+     */
+    numberLocale: "auto",
+    quantityDecimals: {
+      minimum: 0,
+      maximum: 3,
+    },
+    /*
+     * Custom fields printed under the addresses, in order, by
+     * their QuickBooks label (case-insensitive). "*" adds every
+     * other custom field found on the form. Standard shipping
+     * fields are added as { field: "shipVia" } (shipDate,
+     * shipVia, trackingNumber, terms, dueDate, salesRep,
+     * contactPhone, contactMobile, contactEmail, companyName),
+     * with an optional label to override the heading.
+     */
+    orderGridFields: {
+      deliveryNote: [
+        "ORDER NUMBER",
+        "JOB NAME",
+        "Phone",
+      ],
+      pickSlip: [
+        "ORDER NUMBER",
+        "JOB NAME",
+        "Phone",
+      ],
+      partialDelivery: [
+        "ORDER NUMBER",
+        "JOB NAME",
+        "Phone",
+      ],
+    },
+    /*
+     * Custom fields filled from the customer record when they
+     * are empty on the invoice, by label, from the first
+     * non-empty contact detail listed. Filled values are marked
+     * on the printout.
+     */
+    contactFallbacks: {
+      Phone: ["contactPhone", "contactMobile"],
+    },
+    /*
+     * Line-item columns per document, in print order. key is a
+     * QBO line table column: product, sku, description,
+     * quantity, rate, amount, class, serviceDate, location, or
+     * any other header in camelCase ("Tax code" -> taxCode).
+     * binLocation prints the aisle-bay-bin from the imported
+     * bin table and weight the line weight from the product
+     * catalogue; both are left out until imported.
+     * barcode draws the SKU as a Code 128 barcode. Partial
+     * deliveries also have ordered, thisDelivery,
+     * previouslyDelivered and outstanding. align is left,
+     * center or right.
+     */
+    lineColumns: {
+      deliveryNote: [
+        {
+          key: "product",
+          label: "Product Name",
+          width: "67%",
+          align: "left",
+        },
+        {
+          key: "sku",
+          label: "SKU",
+          width: "15%",
+          align: "left",
+        },
+        {
+          key: "weight",
+          label: "Weight",
+          width: "10%",
+          align: "right",
+        },
+        {
+          key: "quantity",
+          label: "Quantity",
+          width: "8%",
+          align: "right",
+        },
+      ],
+      pickSlip: [
+        {
+          key: "product",
+          label: "Product Name",
+          width: "37%",
+          align: "left",
+        },
+        {
+          key: "sku",
+          label: "SKU",
+          width: "15%",
+          align: "left",
+        },
+        {
+          key: "binLocation",
+          label: "Location",
+          width: "12%",
+          align: "left",
+        },
+        {
+          key: "barcode",
+          label: "Barcode",
+          width: "18%",
+          align: "center",
+        },
+        {
+          key: "weight",
+          label: "Weight",
+          width: "10%",
+          align: "right",
+        },
+        {
+          key: "quantity",
+          label: "Quantity",
+          width: "8%",
+          align: "right",
+        },
+      ],
+      partialDelivery: [
+        {
+          key: "product",
+          label: "Product Name",
+          width: "44%",
+          align: "left",
+        },
+        {
+          key: "sku",
+          label: "SKU",
+          width: "14%",
+          align: "left",
+        },
+        {
+          key: "ordered",
+          label: "Ordered",
+          width: "10%",
+          align: "right",
+        },
+        {
+          key: "thisDelivery",
+          label: "This Delivery",
+          width: "11%",
+          align: "right",
+        },
+        {
+          key: "previouslyDelivered",
+          label: "Previously Delivered",
+          width: "11%",
+          align: "right",
+        },
+        {
+          key: "outstanding",
+          label: "Outstanding",
+          width: "10%",
+          align: "right",
+        },
+      ],
+    },
+    /*
+     * When pick slip lines count as the same item. SKUs are
+     * compared upper-cased, without ignoreCharacters or a
+     * leading stripPrefixes entry, after skuAliases (alias ->
+     * main SKU, also importable from Tools). Lines must also
+     * share their description when groupByDescription is on,
+     * each attribute's value ("Colour: Black" in the
+     * description) and which descriptionTokens they contain.
+     */
+    pickSlipGrouping: {
+      ignoreCharacters: "",
+      stripPrefixes: [],
+      skuAliases: {},
+      groupByDescription: false,
+      attributes: [],
+      descriptionTokens: [],
+    },
+    /*
+     * Keep ** Kitchen ** style sections on the pick slip, with
+     * SKUs combined per section and a unit total under each.
+     * The summary page adds every section combined after them.
+     */
+    pickSlipBySection: false,
+    pickSlipSummaryPage: true,
+    // Code 128 barcode of the number in the document header.
+    invoiceNumberBarcode: true,
+    /*
+     * Lay documents out page by page with a header repeated
+     * on later pages and "Page X of Y" at the bottom.
+     */
+    paginateDocuments: true,
+    /*
+     * Pallet estimate from the product catalogue: a pallet
+     * holds up to this volume and this weight.
+     */
+    palletVolumeM3: 1.5,
+    palletMaxWeightKg: 1000,
+    // How long a pick wave waits for each invoice to load.
+    waveInvoiceTimeoutMs: 45000,
+    // Downloaded PDFs: A4 margin and canvas pixels per CSS pixel.
+    pdfMarginMm: 10,
+    pdfRenderScale: 2,
+    /*
+     * Header details when no branding profile in Tools is set
+     * up for the company signed in.
+     */
+    defaultBranding: {
+      name: "Adelaide Bathroom & Kitchen Supplies",
+      addressLines: [
+        "2/831 Lower North East Rd, Dernancourt",
+      ],
+      phone: "(08) 7006 5181",
+      email: "Sales@abksupplies.com.au",
+      abn: "13 695 032 804",
+      logo: "",
+      accentColour: "#000000",
+    },
+    // Also shows the selector diagnostics panel.
     debug: false,
   };
 
@@ -25,7 +253,22 @@
     addButtonsInFlight: false,
     mutationTimer: null,
     currentInvoiceId: null,
+    navigationKey: null,
     printing: false,
+    capturedTransactions: new Map(),
+    capturedItems: new Map(),
+    capturedCustomers: new Map(),
+    diagnostics: new Map(),
+    diagnosticsCollapsed: false,
+    deliveryCaptureResolve: null,
+    scanPick: null,
+    companyId: null,
+    companyName: null,
+    defaultBrandingAcceptedFor: null,
+    templateEditor: null,
+    skuAliases: null,
+    billOfMaterials: null,
+    productCatalogue: null,
   };
 
   // =========================================================
@@ -85,6 +328,184 @@
     return Number.isFinite(value) ? value : null;
   }
 
+  function escapeRegExp(value) {
+    return String(value).replace(
+      /[.*+?^${}()|[\]\\]/g,
+      "\\$&"
+    );
+  }
+
+  const UNICODE_FRACTIONS = {
+    "½": 1 / 2,
+    "⅓": 1 / 3,
+    "⅔": 2 / 3,
+    "¼": 1 / 4,
+    "¾": 3 / 4,
+    "⅕": 1 / 5,
+    "⅛": 1 / 8,
+    "⅜": 3 / 8,
+    "⅝": 5 / 8,
+    "⅞": 7 / 8,
+  };
+
+  function getLocaleSeparators(locale) {
+    const parts = new Intl.NumberFormat(
+      locale
+    ).formatToParts(12345.6);
+
+    return {
+      group:
+        parts.find((part) => part.type === "group")
+          ?.value || ",",
+      decimal:
+        parts.find(
+          (part) => part.type === "decimal"
+        )?.value || ".",
+    };
+  }
+
+  /*
+   * Turns "1.234,5" / "1,234.5" / "1 234,5" into "1234.5". With
+   * numberLocale "auto" the last of "," and "." is the decimal
+   * point, and a lone comma is a decimal point unless it splits
+   * off groups of exactly three digits ("1,000").
+   */
+  function normalizeNumberText(text) {
+    let decimal = ".";
+
+    if (CONFIG.numberLocale !== "auto") {
+      decimal = getLocaleSeparators(
+        CONFIG.numberLocale
+      ).decimal;
+    } else {
+      const lastComma = text.lastIndexOf(",");
+      const lastDot = text.lastIndexOf(".");
+
+      if (lastComma > -1 && lastDot > -1) {
+        decimal =
+          lastComma > lastDot ? "," : ".";
+      } else if (lastComma > -1) {
+        decimal = /^\d{1,3}(,\d{3})+$/.test(text)
+          ? "."
+          : ",";
+      }
+    }
+
+    const groupSeparators = new RegExp(
+      `[^\\d${escapeRegExp(decimal)}]`,
+      "g"
+    );
+
+    return text
+      .replace(groupSeparators, "")
+      .replace(decimal, ".");
+  }
+
+  /*
+   * "1 234" or "1 234,5": a space only separates thousands
+   * when exactly three digits follow it each time.
+   */
+  const SPACE_GROUPED_NUMBER =
+    /^\d{1,3}(?:[\u00a0\u202f ]\d{3}(?!\d))+(?:[.,]\d+)?/;
+
+  /*
+   * Parses a QBO quantity such as "2", "1,5", "2.5 m²",
+   * "3 boxes", "1 1/2" or "1½" into { value, unit }. value is
+   * null when no number could be read.
+   */
+  function parseQuantity(raw) {
+    if (typeof raw === "number") {
+      return {
+        value: Number.isFinite(raw) ? raw : null,
+        unit: "",
+      };
+    }
+
+    let text = normalizeText(raw).replace(
+      /\u2212/g,
+      "-"
+    );
+
+    if (!text) {
+      return { value: null, unit: "" };
+    }
+
+    let sign = 1;
+
+    if (/^[-+]/.test(text)) {
+      sign = text[0] === "-" ? -1 : 1;
+      text = text.slice(1).trim();
+    }
+
+    const fractionCharacters = Object.keys(
+      UNICODE_FRACTIONS
+    ).join("");
+
+    let value = null;
+    let match;
+
+    if (
+      (match = text.match(
+        /^(\d+)\s+(\d+)\s*\/\s*(\d+)/
+      )) &&
+      Number(match[3])
+    ) {
+      value =
+        Number(match[1]) +
+        Number(match[2]) / Number(match[3]);
+    } else if (
+      (match = text.match(
+        /^(\d+)\s*\/\s*(\d+)/
+      )) &&
+      Number(match[2])
+    ) {
+      value =
+        Number(match[1]) / Number(match[2]);
+    } else if (
+      (match = text.match(
+        new RegExp(
+          `^(\\d*)\\s*([${fractionCharacters}])`
+        )
+      ))
+    ) {
+      value =
+        Number(match[1] || 0) +
+        UNICODE_FRACTIONS[match[2]];
+    } else if (
+      (match =
+        text.match(SPACE_GROUPED_NUMBER) ||
+        text.match(/^\d+(?:[.,']\d+)*/))
+    ) {
+      value = Number(
+        normalizeNumberText(match[0])
+      );
+    }
+
+    /*
+     * Digits left over ("10 20", "1 2345") mean the groups
+     * were not thousands, so the text is not one quantity.
+     */
+    if (
+      match &&
+      /^\s*[.,']?\d/.test(
+        text.slice(match[0].length)
+      )
+    ) {
+      value = null;
+    }
+
+    if (value == null || !Number.isFinite(value)) {
+      return { value: null, unit: "" };
+    }
+
+    return {
+      value: sign * value,
+      unit: normalizeText(
+        text.slice(match[0].length)
+      ),
+    };
+  }
+
   function getInputValue(element) {
     if (!element) return "";
 
@@ -114,17 +535,7 @@
 
     const preferredElements = Array.from(
       cell.querySelectorAll(
-        [
-          'input[aria-label^="Product or service line"]',
-          'input[data-testid*="product line"]',
-          'input[aria-label^="Quantity line"]',
-          'input[data-testid^="quantity line"]',
-          'textarea[data-testid="Description_field"]',
-          "input",
-          "textarea",
-          "select",
-          '[role="combobox"]',
-        ].join(",")
+        getSelectors("lineCellValue").join(",")
       )
     );
 
@@ -139,36 +550,6 @@
     return normalizeText(cell.textContent || "");
   }
 
-  function queryFirst(searchRoot, selectors) {
-    if (!searchRoot) return null;
-
-    for (const selector of selectors) {
-      const element = searchRoot.querySelector(selector);
-
-      if (element) {
-        return element;
-      }
-    }
-
-    return null;
-  }
-
-  function getValueFromRootOrDocument(root, selectors) {
-    const rootElement = queryFirst(root, selectors);
-    const rootValue = getInputValue(rootElement);
-
-    if (rootValue) {
-      return rootValue;
-    }
-
-    if (root !== document) {
-      const documentElement = queryFirst(document, selectors);
-      return getInputValue(documentElement);
-    }
-
-    return "";
-  }
-
   function joinCustomerAndAddress(customerName, billingAddress) {
     const customer = normalizeText(customerName);
     const address = normalizeMultiline(billingAddress);
@@ -214,17 +595,618 @@
   }
 
   // =========================================================
-  // QuickBooks page detection
+  // Selector registry
   // =========================================================
 
-  function isInvoicePage() {
-    const url = location.href;
-    const title = document.title || "";
+  /*
+   * Every DOM selector the script depends on, grouped by what it
+   * finds. Entries are tried top to bottom and the name of the
+   * one that matched is reported in the diagnostics panel, so a
+   * QBO UI change shows up as a field falling through to a later
+   * fallback (or to nothing) instead of a blank printout.
+   */
+  const SELECTOR_REGISTRY = {
+    formRoot: {
+      "edit or preview form":
+        '[id="sales-forms-ui/edit_or_preview_form"]',
+      "edit form": '[data-id="editForm"]',
+      "rethink layout":
+        '[data-automation-id="RethinkLayout"]',
+      "trowser body": ".trowser-view .body",
+    },
+    pageRoot: {
+      "qbo main": "#qbo-main",
+      app: "#app",
+      main: "main",
+    },
+    invoiceForm: {
+      "invoice form":
+        '[data-automation-id="invoice-form"]',
+      "invoice editor":
+        '[data-automation-id="invoice-editor"]',
+    },
+    estimateForm: {
+      "estimate form":
+        '[data-automation-id="estimate-form"]',
+      "estimate editor":
+        '[data-automation-id="estimate-editor"]',
+    },
+    salesReceiptForm: {
+      "sales receipt form":
+        '[data-automation-id="salesreceipt-form"]',
+      "sales receipt editor":
+        '[data-automation-id="salesreceipt-editor"]',
+    },
+    creditMemoForm: {
+      "credit memo form":
+        '[data-automation-id="creditmemo-form"]',
+      "credit memo editor":
+        '[data-automation-id="creditmemo-editor"]',
+    },
+    purchaseOrderForm: {
+      "purchase order form":
+        '[data-automation-id="purchaseorder-form"]',
+      "purchase order editor":
+        '[data-automation-id="purchaseorder-editor"]',
+    },
+    customer: {
+      "customer input":
+        'input[aria-label="Customer"]',
+      "quickfill combobox":
+        '[data-cy="quickfill-contact"] input[role="combobox"]',
+      "quickfill text field":
+        '.qf-contact input[data-testid="__textField"]',
+      "quickfill input": ".qf-contact input",
+    },
+    vendor: {
+      "vendor input": 'input[aria-label="Vendor"]',
+      "quickfill combobox":
+        '[data-cy="quickfill-vendor"] input[role="combobox"]',
+      "quickfill input": ".qf-vendor input",
+    },
+    contactQuickfill: {
+      "quickfill contact":
+        '[data-cy="quickfill-contact"]',
+    },
+    contactQuickfillData: {
+      "quickfill data-props":
+        '[data-cy="quickfill-contact"] .QuickfillsContainer[data-props]',
+    },
+    billTo: {
+      "bill to textarea":
+        'textarea[aria-label="billToTextAreaLabel"]',
+      "bill to class":
+        '[class*="billToAddress"] textarea',
+    },
+    vendorAddress: {
+      "mailing address":
+        'textarea[aria-label="Mailing address"]',
+      "vendor address textarea":
+        'textarea[aria-label="vendorAddressTextAreaLabel"]',
+      "vendor address class":
+        '[class*="vendorAddress"] textarea',
+    },
+    shipTo: {
+      "ship to label":
+        'textarea[aria-label="Ship to"]',
+      "ship to textarea":
+        'textarea[aria-label="shipToTextAreaLabel"]',
+      "ship to address class":
+        '[class*="shipToAddress"] textarea',
+      "ship to class":
+        '[class*="shipTo-"] textarea',
+    },
+    referenceNumber: {
+      "readonly reference span":
+        '[data-automation-id="readonly_reference_number"] span',
+      "readonly reference":
+        '[data-automation-id="readonly_reference_number"]',
+    },
+    purchaseOrderNumber: {
+      "readonly reference span":
+        '[data-automation-id="readonly_reference_number"] span',
+      "readonly reference":
+        '[data-automation-id="readonly_reference_number"]',
+      "p.o. number input":
+        'input[aria-label="P.O. No."]',
+      "reference number input":
+        'input[data-testid="reference_number"]',
+    },
+    invoiceDate: {
+      "txn date": 'input[data-testid="txn_date"]',
+      "invoice date label":
+        'input[aria-label="Invoice date"]',
+    },
+    estimateDate: {
+      "txn date": 'input[data-testid="txn_date"]',
+      "estimate date label":
+        'input[aria-label="Estimate date"]',
+    },
+    salesReceiptDate: {
+      "txn date": 'input[data-testid="txn_date"]',
+      "sales receipt date label":
+        'input[aria-label="Sales Receipt date"]',
+    },
+    creditMemoDate: {
+      "txn date": 'input[data-testid="txn_date"]',
+      "credit memo date label":
+        'input[aria-label="Credit Memo date"]',
+    },
+    purchaseOrderDate: {
+      "txn date": 'input[data-testid="txn_date"]',
+      "purchase order date label":
+        'input[aria-label="Purchase Order date"]',
+    },
+    shipDate: {
+      "ship date label":
+        'input[aria-label="Ship date"]',
+      "ship date test id":
+        'input[data-testid="ship_date"]',
+    },
+    shipVia: {
+      "ship via label":
+        'input[aria-label="Ship via"]',
+      "ship via test id":
+        '[data-testid="ship_via"] input',
+    },
+    trackingNumber: {
+      "tracking no. label":
+        'input[aria-label="Tracking no."]',
+      "tracking test id":
+        'input[data-testid="tracking_number"]',
+    },
+    terms: {
+      "terms label": 'input[aria-label="Terms"]',
+      "terms combobox":
+        '[data-testid="terms"] input[role="combobox"]',
+    },
+    dueDate: {
+      "due date label":
+        'input[aria-label="Due date"]',
+      "due date test id":
+        'input[data-testid="due_date"]',
+    },
+    salesRep: {
+      "sales rep label":
+        'input[aria-label="Sales Rep"]',
+      "sales rep test id":
+        '[data-testid="sales_rep"] input',
+    },
+    customField: {
+      "custom form field": ".custom-form-field",
+    },
+    customFieldLabel: {
+      "rethink label": '[class*="RethinkCFLabel"]',
+      "first label div":
+        ".custom-field-input > div > div:first-child",
+      "any label div": ".custom-field-input div",
+    },
+    customFieldInput: {
+      "text field input":
+        ".custom-fields-input-text-field input",
+      "custom field input":
+        ".custom-field-input input",
+      "any input": "input, textarea, select",
+    },
+    readOnlyRoot: {
+      "invoice view":
+        '[data-automation-id="invoice-view"]',
+      "readonly transaction":
+        '[data-automation-id="readonly-transaction"]',
+      "view form": '[data-id="viewForm"]',
+      "readonly sales form":
+        '[id="sales-forms-ui/readonly_form"]',
+    },
+    previewRoot: {
+      "review and send":
+        '[data-automation-id="review-and-send"]',
+      "send form preview":
+        '[data-testid="send-form-preview"]',
+      "invoice preview":
+        '[data-automation-id="invoice-preview"]',
+      "preview dialog":
+        '[role="dialog"] [class*="preview"]',
+    },
+    previewFrame: {
+      "preview iframe":
+        'iframe[title*="preview" i]',
+      "review and send iframe":
+        '[data-automation-id="review-and-send"] iframe',
+    },
+    lineTable: {
+      table: "table",
+    },
+    lineTableHeader: {
+      "header cell": "thead th",
+      "first row header cell":
+        "tr:first-child > th",
+    },
+    lineTableBody: {
+      "smart table body":
+        'tbody[data-smart-table-body="true"]',
+    },
+    /*
+     * Only for reading rows from a table already known to be
+     * the line table. Root detection must not use it, or any
+     * page with a table would count as an open form.
+     */
+    lineTableBodyFallback: {
+      tbody: "tbody",
+    },
+    lineRow: {
+      "automation line row":
+        'tr[data-automation-id^="line "]',
+    },
+    previewLineRow: {
+      "automation line row":
+        'tr[data-automation-id^="line "]',
+      "table row": "tbody tr",
+    },
+    labelledText: {
+      "label-like elements":
+        "dt, th, td, label, span, div, p, strong, b, h1, h2, h3, h4, h5, h6",
+    },
+    lineProductInput: {
+      "product line input":
+        'input[aria-label^="Product or service line"]',
+    },
+    lineCellValue: {
+      "product line input":
+        'input[aria-label^="Product or service line"]',
+      "product test id":
+        'input[data-testid*="product line"]',
+      "quantity line input":
+        'input[aria-label^="Quantity line"]',
+      "quantity test id":
+        'input[data-testid^="quantity line"]',
+      "description field":
+        'textarea[data-testid="Description_field"]',
+      input: "input",
+      textarea: "textarea",
+      select: "select",
+      combobox: '[role="combobox"]',
+    },
+    invoiceListRow: {
+      "ids table row": "table.idsTable tbody tr",
+      "data grid row":
+        '[role="grid"] [role="row"][aria-rowindex]',
+      "table row": "table tbody tr",
+    },
+    invoiceListRowCheckbox: {
+      checkbox: 'input[type="checkbox"]',
+    },
+    invoiceListTransactionLink: {
+      "txnId link": 'a[href*="txnId="]',
+    },
+  };
+
+  function getSelectors(registryKey) {
+    return Object.values(
+      SELECTOR_REGISTRY[registryKey] || {}
+    );
+  }
+
+  function queryRegistry(searchRoot, registryKey) {
+    if (!searchRoot) return null;
+
+    const entries = Object.entries(
+      SELECTOR_REGISTRY[registryKey] || {}
+    );
+
+    for (const [name, selector] of entries) {
+      const element =
+        searchRoot.querySelector(selector);
+
+      if (element) {
+        return { name, selector, element };
+      }
+    }
+
+    return null;
+  }
+
+  function queryRegistryAll(
+    searchRoot,
+    registryKey
+  ) {
+    if (!searchRoot) return [];
+
+    return Object.entries(
+      SELECTOR_REGISTRY[registryKey] || {}
+    )
+      .map(([name, selector]) => ({
+        name,
+        selector,
+        element:
+          searchRoot.querySelector(selector),
+      }))
+      .filter((match) => match.element);
+  }
+
+  /*
+   * Every element matched by the first registry entry that
+   * matches anything, for lists such as table rows.
+   */
+  function queryRegistryEvery(
+    searchRoot,
+    registryKey
+  ) {
+    if (!searchRoot) return null;
 
+    for (const [name, selector] of Object.entries(
+      SELECTOR_REGISTRY[registryKey] || {}
+    )) {
+      const elements = Array.from(
+        searchRoot.querySelectorAll(selector)
+      );
+
+      if (elements.length) {
+        return { name, selector, elements };
+      }
+    }
+
+    return null;
+  }
+
+  /*
+   * QuickBooks may render parts of the form outside the root
+   * picked by getInvoiceRoot(), so the root is searched first
+   * and then the whole document.
+   */
+  function queryRegistryInRootOrDocument(
+    root,
+    registryKey
+  ) {
+    return (
+      queryRegistry(root, registryKey) ||
+      (root !== document
+        ? queryRegistry(document, registryKey)
+        : null)
+    );
+  }
+
+  function getValueFromRootOrDocument(
+    root,
+    field,
+    registryKey
+  ) {
+    const searchRoots =
+      root && root !== document
+        ? [root, document]
+        : [document];
+
+    let firstMatch = null;
+
+    for (const searchRoot of searchRoots) {
+      const match = queryRegistry(
+        searchRoot,
+        registryKey
+      );
+
+      const value = getInputValue(
+        match?.element
+      );
+
+      if (value) {
+        recordDiagnostic(
+          field,
+          match.name,
+          value
+        );
+
+        return value;
+      }
+
+      firstMatch = firstMatch || match;
+    }
+
+    recordDiagnostic(
+      field,
+      firstMatch?.name ?? null,
+      ""
+    );
+
+    return "";
+  }
+
+  // =========================================================
+  // Transaction types
+  // =========================================================
+
+  /*
+   * Every QuickBooks form the buttons can print from. The URL
+   * segment is checked first, then the form markers, then the
+   * page title. Selector values are SELECTOR_REGISTRY keys.
+   * payloadName is the entity name used in QBO's JSON responses.
+   */
+  const TRANSACTION_TYPES = {
+    invoice: {
+      label: "Invoice",
+      payloadName: "Invoice",
+      documentTitle: "Delivery Note",
+      numberLabel: "INVOICE NO.",
+      partyLabel: "INVOICE TO",
+      urlPattern: /\/app\/invoice(?:[?/#]|$)/i,
+      titleKeyword: "invoice",
+      selectors: {
+        form: "invoiceForm",
+        customer: "customer",
+        billingAddress: "billTo",
+        shippingAddress: "shipTo",
+        number: "referenceNumber",
+        date: "invoiceDate",
+      },
+      requiredColumns: [
+        "product",
+        "sku",
+        "description",
+        "quantity",
+      ],
+    },
+
+    estimate: {
+      label: "Estimate",
+      payloadName: "Estimate",
+      documentTitle: "Order Confirmation",
+      numberLabel: "ESTIMATE NO.",
+      partyLabel: "CUSTOMER",
+      urlPattern: /\/app\/estimate(?:[?/#]|$)/i,
+      titleKeyword: "estimate",
+      selectors: {
+        form: "estimateForm",
+        customer: "customer",
+        billingAddress: "billTo",
+        shippingAddress: "shipTo",
+        number: "referenceNumber",
+        date: "estimateDate",
+      },
+      requiredColumns: [
+        "product",
+        "sku",
+        "description",
+        "quantity",
+      ],
+    },
+
+    salesReceipt: {
+      label: "Sales Receipt",
+      payloadName: "SalesReceipt",
+      documentTitle: "Collection Note",
+      numberLabel: "RECEIPT NO.",
+      partyLabel: "SOLD TO",
+      urlPattern: /\/app\/salesreceipt(?:[?/#]|$)/i,
+      titleKeyword: "sales receipt",
+      selectors: {
+        form: "salesReceiptForm",
+        customer: "customer",
+        billingAddress: "billTo",
+        shippingAddress: "shipTo",
+        number: "referenceNumber",
+        date: "salesReceiptDate",
+      },
+      requiredColumns: [
+        "product",
+        "sku",
+        "description",
+        "quantity",
+      ],
+    },
+
+    creditMemo: {
+      label: "Credit Memo",
+      payloadName: "CreditMemo",
+      documentTitle: "Goods Return Note",
+      numberLabel: "CREDIT NO.",
+      partyLabel: "CREDIT TO",
+      urlPattern: /\/app\/creditmemo(?:[?/#]|$)/i,
+      titleKeyword: "credit memo",
+      selectors: {
+        form: "creditMemoForm",
+        customer: "customer",
+        billingAddress: "billTo",
+        shippingAddress: "shipTo",
+        number: "referenceNumber",
+        date: "creditMemoDate",
+      },
+      requiredColumns: [
+        "product",
+        "sku",
+        "description",
+        "quantity",
+      ],
+    },
+
+    purchaseOrder: {
+      label: "Purchase Order",
+      payloadName: "PurchaseOrder",
+      documentTitle: "Goods Receipt Note",
+      numberLabel: "P.O. NO.",
+      partyLabel: "SUPPLIER",
+      urlPattern: /\/app\/purchaseorder(?:[?/#]|$)/i,
+      titleKeyword: "purchase order",
+      selectors: {
+        form: "purchaseOrderForm",
+        customer: "vendor",
+        billingAddress: "vendorAddress",
+        shippingAddress: "shipTo",
+        number: "purchaseOrderNumber",
+        date: "purchaseOrderDate",
+      },
+      /*
+       * Purchase orders do not show the SKU column unless the
+       * company turns it on, so it is optional here.
+       */
+      requiredColumns: [
+        "product",
+        "description",
+        "quantity",
+      ],
+    },
+  };
+
+  function getTransactionType(key) {
     return (
-      url.includes("/invoice") ||
-      url.includes("txnId=") ||
-      title.toLowerCase().includes("invoice")
+      TRANSACTION_TYPES[key] ||
+      TRANSACTION_TYPES.invoice
+    );
+  }
+
+  function detectTransactionType() {
+    const url = location.href;
+    const title = normalizeText(
+      document.title
+    ).toLowerCase();
+
+    const entries = Object.entries(
+      TRANSACTION_TYPES
+    );
+
+    for (const [key, type] of entries) {
+      if (type.urlPattern.test(url)) {
+        return key;
+      }
+    }
+
+    for (const [key, type] of entries) {
+      if (
+        queryRegistry(
+          document,
+          type.selectors.form
+        )
+      ) {
+        return key;
+      }
+    }
+
+    // Whole words, so "Invoices" (the list) is not an invoice.
+    for (const [key, type] of entries) {
+      if (
+        new RegExp(`\\b${type.titleKeyword}\\b`).test(
+          title
+        )
+      ) {
+        return key;
+      }
+    }
+
+    /*
+     * Older QBO builds open invoices as ?txnId= without a
+     * recognisable path segment.
+     */
+    if (url.includes("txnId=")) {
+      return "invoice";
+    }
+
+    return null;
+  }
+
+  // =========================================================
+  // QuickBooks page detection
+  // =========================================================
+
+  function isTransactionPage() {
+    return Boolean(
+      detectTransactionType()
     );
   }
 
@@ -238,52 +1220,57 @@
       : null;
   }
 
-  function getInvoiceRoot() {
+  function getInvoiceRoot(
+    type = getTransactionType(
+      detectTransactionType()
+    )
+  ) {
     const candidates = [
-      document.querySelector(
-        '[id="sales-forms-ui/edit_or_preview_form"]'
-      ),
-      document.querySelector(
-        '[data-id="editForm"]'
-      ),
-      document.querySelector(
-        '[data-automation-id="RethinkLayout"]'
-      ),
-      document.querySelector(
-        ".trowser-view .body"
+      ...queryRegistryAll(
+        document,
+        "formRoot"
       ),
-      document.querySelector(
-        '[data-automation-id="invoice-form"]'
+      ...queryRegistryAll(
+        document,
+        type.selectors.form
       ),
-      document.querySelector(
-        '[data-automation-id="invoice-editor"]'
+      ...queryRegistryAll(
+        document,
+        "pageRoot"
       ),
-      document.querySelector("#qbo-main"),
-      document.querySelector("#app"),
-      document.querySelector("main"),
-      document.body,
-    ].filter(Boolean);
+      {
+        name: "document body",
+        element: document.body,
+      },
+    ];
 
     for (const candidate of candidates) {
+      const element = candidate.element;
+
       const hasCustomer =
-        candidate.querySelector(
-          'input[aria-label="Customer"]'
+        queryRegistry(
+          element,
+          type.selectors.customer
         ) ||
-        candidate.querySelector(
-          '[data-cy="quickfill-contact"]'
+        queryRegistry(
+          element,
+          "contactQuickfill"
         );
 
       const hasInvoiceNumber =
-        candidate.querySelector(
-          '[data-automation-id="readonly_reference_number"]'
+        queryRegistry(
+          element,
+          type.selectors.number
         );
 
       const hasInvoiceTable =
-        candidate.querySelector(
-          'tbody[data-smart-table-body="true"]'
+        queryRegistry(
+          element,
+          "lineTableBody"
         ) ||
-        candidate.querySelector(
-          'input[aria-label^="Product or service line"]'
+        queryRegistry(
+          element,
+          "lineProductInput"
         );
 
       if (
@@ -291,1173 +1278,10265 @@
         hasInvoiceNumber ||
         hasInvoiceTable
       ) {
-        return candidate;
+        recordDiagnostic(
+          "Form root",
+          candidate.name,
+          candidate.selector || "body"
+        );
+
+        return element;
       }
     }
 
-    return null;
-  }
+    recordDiagnostic("Form root", null, "");
 
-  function isInvoiceEditorOpen() {
-    return (
-      isInvoicePage() &&
-      Boolean(getInvoiceRoot())
-    );
+    return null;
   }
 
   // =========================================================
-  // Invoice header extraction
+  // QuickBooks payload capture
   // =========================================================
 
-  function extractCustomerName(root) {
-    const customerSelectors = [
-      'input[aria-label="Customer"]',
-      '[data-cy="quickfill-contact"] input[role="combobox"]',
-      '.qf-contact input[data-testid="__textField"]',
-      '.qf-contact input',
-    ];
+  /*
+   * QBO loads every transaction it shows as JSON through fetch or
+   * XHR. Those responses are read (never modified) and the
+   * transactions and items found in them are kept by ID, so
+   * extraction can use exact values instead of scraping the form.
+   */
+  const PAYLOAD_URL_PATTERN =
+    /invoice|estimate|salesreceipt|creditmemo|purchaseorder|txn|transaction|item|query|batch|companyinfo/i;
 
-    const customerInput =
-      queryFirst(root, customerSelectors) ||
-      queryFirst(document, customerSelectors);
+  const PAYLOAD_SEARCH_DEPTH = 6;
 
-    const customerInputValue =
-      getInputValue(customerInput);
+  const XHR_URLS = new WeakMap();
 
-    if (customerInputValue) {
-      return customerInputValue;
+  function readPayloadValue(source, ...names) {
+    if (!source || typeof source !== "object") {
+      return undefined;
     }
 
-    const quickfill =
-      root?.querySelector(
-        '[data-cy="quickfill-contact"] .QuickfillsContainer[data-props]'
-      ) ||
-      document.querySelector(
-        '[data-cy="quickfill-contact"] .QuickfillsContainer[data-props]'
-      );
+    for (const name of names) {
+      if (source[name] != null) {
+        return source[name];
+      }
+    }
 
-    const rawProperties =
-      quickfill?.getAttribute("data-props");
+    const lowerNames = names.map((name) =>
+      name.toLowerCase()
+    );
 
-    if (rawProperties) {
-      try {
-        const parsedProperties =
-          JSON.parse(rawProperties);
+    const matchingKey = Object.keys(source).find(
+      (key) =>
+        lowerNames.includes(key.toLowerCase())
+    );
 
-        const displayName = normalizeText(
-          parsedProperties?.contact?.displayName ||
-            ""
-        );
+    return matchingKey == null
+      ? undefined
+      : source[matchingKey];
+  }
 
-        if (displayName) {
-          return displayName;
-        }
-      } catch (error) {
-        warn(
-          "Could not parse customer QuickFill data.",
-          error
-        );
-      }
+  function readPayloadRefName(source, ...names) {
+    const ref = readPayloadValue(
+      source,
+      ...names
+    );
+
+    if (ref == null) return "";
+
+    if (typeof ref !== "object") {
+      return normalizeText(ref);
     }
 
-    return "";
+    return normalizeText(
+      readPayloadValue(ref, "name") || ""
+    );
   }
 
-  function extractCustomFieldValue(
-    root,
-    targetLabel
-  ) {
-    const normalizedTarget =
-      normalizeText(targetLabel).toLowerCase();
+  function readPayloadRefId(source, ...names) {
+    const ref = readPayloadValue(
+      source,
+      ...names
+    );
 
-    /*
-     * QuickBooks may render the custom-field form outside the
-     * invoice root selected above. Search the invoice root first
-     * and then the whole document.
-     */
-    const searchRoots = [];
+    return ref && typeof ref === "object"
+      ? normalizeText(
+          readPayloadValue(ref, "value") ?? ""
+        )
+      : "";
+  }
 
-    if (root) {
-      searchRoots.push(root);
+  function formatPayloadAddress(address) {
+    if (!address || typeof address !== "object") {
+      return "";
     }
 
-    if (root !== document) {
-      searchRoots.push(document);
-    }
+    const lines = [1, 2, 3, 4, 5].map((index) =>
+      readPayloadValue(address, `Line${index}`)
+    );
 
-    for (const searchRoot of searchRoots) {
-      const fields = Array.from(
-        searchRoot.querySelectorAll(
-          ".custom-form-field"
-        )
-      );
+    const locality = [
+      readPayloadValue(address, "City"),
+      readPayloadValue(
+        address,
+        "CountrySubDivisionCode"
+      ),
+      readPayloadValue(address, "PostalCode"),
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    return normalizeMultiline(
+      [
+        ...lines,
+        locality,
+        readPayloadValue(address, "Country"),
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+  }
 
-      for (const field of fields) {
-        const labelCandidates = Array.from(
-          field.querySelectorAll(
-            [
-              '[class*="RethinkCFLabel"]',
-              ".custom-field-input > div > div:first-child",
-              ".custom-field-input div",
-            ].join(",")
-          )
-        );
+  function formatPayloadDate(value) {
+    const match = String(value ?? "").match(
+      /^(\d{4})-(\d{2})-(\d{2})/
+    );
 
-        const matchingLabel =
-          labelCandidates.find((element) => {
-            return (
-              normalizeText(
-                element.textContent
-              ).toLowerCase() ===
-              normalizedTarget
-            );
-          });
+    if (!match) {
+      return normalizeText(value);
+    }
 
-        if (!matchingLabel) {
-          continue;
-        }
+    /*
+     * Build the date from its parts so the browser's time zone
+     * cannot move it to the previous day.
+     */
+    const date = new Date(
+      Number(match[1]),
+      Number(match[2]) - 1,
+      Number(match[3])
+    );
 
-        /*
-         * Read only the nested input. Do not use the wrapper's
-         * textContent because that includes the label.
-         */
-        const input =
-          field.querySelector(
-            ".custom-fields-input-text-field input"
-          ) ||
-          field.querySelector(
-            ".custom-field-input input"
+    return date.toLocaleDateString(
+      CONFIG.payloadDateLocale,
+      {
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      }
+    );
+  }
+
+  function readPayloadCustomFields(transaction) {
+    const fields = readPayloadValue(
+      transaction,
+      "CustomField"
+    );
+
+    const customFields = {};
+
+    if (!Array.isArray(fields)) {
+      return customFields;
+    }
+
+    for (const field of fields) {
+      const label = normalizeText(
+        readPayloadValue(field, "Name") ||
+          readPayloadValue(
+            field,
+            "DefinitionId"
           ) ||
-          field.querySelector(
-            "input, textarea, select"
-          );
+          ""
+      );
 
-        if (!input) {
-          return "";
-        }
+      if (!label) continue;
 
-        return getInputValue(input);
-      }
+      customFields[label] = normalizeText(
+        readPayloadValue(
+          field,
+          "StringValue",
+          "Value"
+        ) ?? ""
+      );
     }
 
+    return customFields;
+  }
+
+  function buildRowFromPayloadLine(line) {
+    const detailType = normalizeText(
+      readPayloadValue(line, "DetailType") || ""
+    );
+
     /*
-     * Extra fallback using the stable custom-field definition IDs
-     * present in the input names.
+     * LineNum is the line's position on the form, the same
+     * number the grid rows carry, so delivery history keys
+     * match whichever source the rows came from.
      */
-    const knownFieldSuffixes = {
-      "order number": "1700000000000127549",
-      "job name": "1700000000000127550",
-      phone: "1700000000000494174",
-    };
+    const lineIndex =
+      tryParseNumber(
+        readPayloadValue(line, "LineNum")
+      ) ?? undefined;
+
+    const description = normalizeText(
+      readPayloadValue(line, "Description") ||
+        ""
+    );
 
-    const fieldSuffix =
-      knownFieldSuffixes[normalizedTarget];
+    if (detailType === "DescriptionOnly") {
+      return description
+        ? {
+            lineIndex,
+            productName: "",
+            sku: "",
+            description,
+            quantity: 0,
+            unit: "",
+            columns: {},
+          }
+        : null;
+    }
 
-    if (fieldSuffix) {
-      const fallbackInput =
-        document.querySelector(
-          `.custom-form-field input[name$="${fieldSuffix}"]`
-        ) ||
-        document.querySelector(
-          `input[name$="${fieldSuffix}"]`
-        );
+    const detail =
+      readPayloadValue(
+        line,
+        "SalesItemLineDetail",
+        "ItemBasedExpenseLineDetail",
+        "GroupLineDetail"
+      ) || null;
 
-      return getInputValue(fallbackInput);
+    if (!detail) {
+      /*
+       * Subtotal, discount, tax and account-based expense lines
+       * have nothing to pick or deliver.
+       */
+      return null;
     }
 
-    return "";
-  }
+    const itemId = readPayloadRefId(
+      detail,
+      "ItemRef",
+      "GroupItemRef"
+    );
 
-  function extractHeaderData(root) {
-    const customerName =
-      extractCustomerName(root);
+    const item =
+      STATE.capturedItems.get(itemId) || null;
 
-    const rawBillingAddress =
-      getValueFromRootOrDocument(root, [
-        'textarea[aria-label="billToTextAreaLabel"]',
-        '[class*="billToAddress"] textarea',
-      ]);
+    const productName =
+      readPayloadRefName(
+        detail,
+        "ItemRef",
+        "GroupItemRef"
+      ) ||
+      item?.name ||
+      "";
+
+    const sku = normalizeText(
+      readPayloadValue(detail, "Sku") ||
+        readPayloadValue(line, "Sku") ||
+        item?.sku ||
+        ""
+    );
 
-    const billingAddress =
-      joinCustomerAndAddress(
-        customerName,
-        rawBillingAddress
-      );
+    const quantity = parseQuantity(
+      readPayloadValue(detail, "Qty", "Quantity")
+    ).value;
 
-    const shippingAddress =
-      getValueFromRootOrDocument(root, [
-        'textarea[aria-label="Ship to"]',
-        'textarea[aria-label="shipToTextAreaLabel"]',
-        '[class*="shipToAddress"] textarea',
-        '[class*="shipTo-"] textarea',
-      ]) || "N/A";
+    const rate = tryParseNumber(
+      readPayloadValue(detail, "UnitPrice")
+    );
 
-    const invoiceNumberElement =
-      queryFirst(root, [
-        '[data-automation-id="readonly_reference_number"] span',
-        '[data-automation-id="readonly_reference_number"]',
-      ]) ||
-      queryFirst(document, [
-        '[data-automation-id="readonly_reference_number"] span',
-        '[data-automation-id="readonly_reference_number"]',
-      ]);
+    const amount = tryParseNumber(
+      readPayloadValue(line, "Amount")
+    );
 
-    const invoiceNumber =
-      normalizeText(
-        invoiceNumberElement?.textContent || ""
-      ) || "N/A";
+    return {
+      lineIndex,
+      productName,
+      sku,
+      description,
+      quantity: quantity == null ? 0 : quantity,
+      unit: readPayloadRefName(
+        detail,
+        "UOMRef"
+      ),
+      columns: {
+        rate:
+          rate == null ? "" : rate.toFixed(2),
+        amount:
+          amount == null
+            ? ""
+            : amount.toFixed(2),
+        class: readPayloadRefName(
+          detail,
+          "ClassRef"
+        ),
+        serviceDate: readPayloadValue(
+          detail,
+          "ServiceDate"
+        )
+          ? formatPayloadDate(
+              readPayloadValue(
+                detail,
+                "ServiceDate"
+              )
+            )
+          : "",
+      },
+    };
+  }
 
-    const invoiceDate =
-      getValueFromRootOrDocument(root, [
-        'input[data-testid="txn_date"]',
-        'input[aria-label="Invoice date"]',
-      ]) || "N/A";
+  function buildDataFromPayload(
+    transaction,
+    transactionType
+  ) {
+    const customFields =
+      readPayloadCustomFields(transaction);
 
-    const orderNumber =
-      extractCustomFieldValue(
-        root,
-        "ORDER NUMBER"
-      );
+    const customerName = readPayloadRefName(
+      transaction,
+      "CustomerRef",
+      "VendorRef"
+    );
 
-    const jobName =
-      extractCustomFieldValue(
-        root,
-        "JOB NAME"
+    const billingAddress =
+      joinCustomerAndAddress(
+        customerName,
+        formatPayloadAddress(
+          readPayloadValue(
+            transaction,
+            "BillAddr",
+            "VendorAddr"
+          )
+        )
       );
 
-    const phoneNumber =
-      extractCustomFieldValue(
-        root,
-        "Phone"
-      );
+    const lines = readPayloadValue(
+      transaction,
+      "Line"
+    );
 
-    log("Extracted header data:", {
-      customerName,
-      billingAddress,
-      shippingAddress,
-      invoiceNumber,
-      invoiceDate,
-      orderNumber,
-      jobName,
-      phoneNumber,
-    });
+    const rows = (Array.isArray(lines) ? lines : [])
+      .slice()
+      .sort(
+        (left, right) =>
+          (tryParseNumber(
+            readPayloadValue(left, "LineNum")
+          ) ?? 0) -
+          (tryParseNumber(
+            readPayloadValue(right, "LineNum")
+          ) ?? 0)
+      )
+      .map(buildRowFromPayloadLine)
+      .filter(Boolean);
 
     return {
+      transactionType,
       customerName,
       billingAddress,
-      shippingAddress,
-      invoiceNumber,
-      invoiceDate,
-      orderNumber,
-      jobName,
-      phoneNumber,
+      shippingAddress:
+        formatPayloadAddress(
+          readPayloadValue(
+            transaction,
+            "ShipAddr"
+          )
+        ) || "N/A",
+      invoiceNumber:
+        normalizeText(
+          readPayloadValue(
+            transaction,
+            "DocNumber"
+          ) ?? ""
+        ) || "N/A",
+      invoiceDate:
+        formatPayloadDate(
+          readPayloadValue(
+            transaction,
+            "TxnDate"
+          )
+        ) || "N/A",
+      shipDate: formatPayloadDate(
+        readPayloadValue(transaction, "ShipDate")
+      ),
+      shipVia: readPayloadRefName(
+        transaction,
+        "ShipMethodRef"
+      ),
+      trackingNumber: normalizeText(
+        readPayloadValue(
+          transaction,
+          "TrackingNum"
+        ) ?? ""
+      ),
+      terms: readPayloadRefName(
+        transaction,
+        "SalesTermRef"
+      ),
+      dueDate: formatPayloadDate(
+        readPayloadValue(transaction, "DueDate")
+      ),
+      // The API has no sales rep field; companies keep it as a custom field.
+      salesRep: getCustomFieldValue(
+        customFields,
+        "Sales Rep"
+      ),
+      ...buildCustomFieldData(customFields),
+      customerId: readPayloadRefId(
+        transaction,
+        "CustomerRef"
+      ),
+      rows,
+      dataSource: "payload",
     };
   }
 
-  // =========================================================
-  // Invoice line extraction
-  // =========================================================
+  /*
+   * QBO Ids are only unique within an entity type, so an
+   * estimate and an invoice can both be 42.
+   */
+  function getCapturedTransactionKey(
+    transactionType,
+    transactionId
+  ) {
+    return `${transactionType}:${transactionId}`;
+  }
 
-  function findInvoiceTable(root) {
-    const searchRoots = [root, document].filter(
-      Boolean
+  function rememberCapturedTransaction(
+    transactionType,
+    transaction
+  ) {
+    const id = normalizeText(
+      readPayloadValue(transaction, "Id") ?? ""
     );
 
-    for (const searchRoot of searchRoots) {
-      const tables = Array.from(
-        searchRoot.querySelectorAll("table")
-      );
-
-      for (const table of tables) {
-        const headers = Array.from(
-          table.querySelectorAll("thead th")
-        ).map((header) =>
-          normalizeText(
-            header.textContent
-          ).toLowerCase()
-        );
-
-        const hasProduct = headers.some(
-          (header) =>
-            /product\s*\/?\s*service/.test(
-              header
-            )
-        );
-
-        const hasSku = headers.some(
-          (header) => header === "sku"
-        );
+    if (!id) return;
 
-        const hasDescription = headers.some(
-          (header) =>
-            header === "description"
-        );
+    const key = getCapturedTransactionKey(
+      transactionType,
+      id
+    );
 
-        const hasQuantity = headers.some(
-          (header) =>
-            header === "qty" ||
-            header === "quantity"
-        );
+    STATE.capturedTransactions.delete(key);
+    STATE.capturedTransactions.set(key, {
+      transactionType,
+      transaction,
+    });
 
-        if (
-          hasProduct &&
-          hasSku &&
-          hasDescription &&
-          hasQuantity
-        ) {
-          return table;
-        }
-      }
+    while (
+      STATE.capturedTransactions.size >
+      CONFIG.maxCapturedTransactions
+    ) {
+      STATE.capturedTransactions.delete(
+        STATE.capturedTransactions.keys().next()
+          .value
+      );
     }
 
-    return null;
+    log(
+      "Captured transaction payload:",
+      transactionType,
+      id
+    );
   }
 
-  function buildHeaderIndexMap(table) {
-    const map = {};
-
-    const headers = Array.from(
-      table.querySelectorAll("thead th")
+  function rememberCapturedItem(item) {
+    const id = normalizeText(
+      readPayloadValue(item, "Id") ?? ""
     );
 
-    headers.forEach((header, index) => {
-      const label = normalizeText(
-        header.textContent
-      ).toLowerCase();
+    if (!id) return;
 
-      if (
-        /product\s*\/?\s*service/.test(label)
-      ) {
-        map.product = index;
-      } else if (label === "sku") {
-        map.sku = index;
-      } else if (label === "description") {
-        map.description = index;
-      } else if (
-        label === "qty" ||
-        label === "quantity"
-      ) {
-        map.quantity = index;
-      }
+    STATE.capturedItems.set(id, {
+      name: normalizeText(
+        readPayloadValue(item, "Name") || ""
+      ),
+      sku: normalizeText(
+        readPayloadValue(item, "Sku") || ""
+      ),
     });
-
-    return map;
   }
 
-  function extractRows(root) {
-    const table = findInvoiceTable(root);
-
-    if (!table) {
-      warn(
-        "QuickBooks invoice product table was not found."
-      );
+  function rememberCapturedCustomer(customer) {
+    const id = normalizeText(
+      readPayloadValue(customer, "Id") ?? ""
+    );
 
-      return [];
+    if (!id || typeof customer !== "object") {
+      return;
     }
 
-    const headerMap =
-      buildHeaderIndexMap(table);
+    STATE.capturedCustomers.set(id, customer);
+  }
 
+  function findTransactionTypeByPayloadName(
+    name
+  ) {
+    const normalizedName = String(
+      name
+    ).toLowerCase();
+
+    return (
+      Object.keys(TRANSACTION_TYPES).find(
+        (key) =>
+          TRANSACTION_TYPES[
+            key
+          ].payloadName.toLowerCase() ===
+          normalizedName
+      ) || null
+    );
+  }
+
+  function collectPayloadEntities(
+    value,
+    depth = 0
+  ) {
     if (
-      headerMap.product == null ||
-      headerMap.sku == null ||
-      headerMap.description == null ||
-      headerMap.quantity == null
+      !value ||
+      typeof value !== "object" ||
+      depth > PAYLOAD_SEARCH_DEPTH
     ) {
-      warn(
-        "Required invoice columns were not found.",
-        headerMap
-      );
-
-      return [];
+      return;
     }
 
-    const tableBody =
-      table.querySelector(
-        'tbody[data-smart-table-body="true"]'
-      ) ||
-      table.querySelector("tbody");
-
-    if (!tableBody) {
-      warn(
-        "QuickBooks invoice table body was not found."
-      );
+    if (Array.isArray(value)) {
+      for (const entry of value) {
+        collectPayloadEntities(entry, depth + 1);
+      }
 
-      return [];
+      return;
     }
 
-    const rowElements = Array.from(
-      tableBody.querySelectorAll(
-        'tr[data-automation-id^="line "]'
-      )
-    );
-
-    const rows = [];
-
-    for (const rowElement of rowElements) {
-      const cells = Array.from(
-        rowElement.querySelectorAll(
-          ":scope > td"
-        )
-      );
+    for (const [key, entry] of Object.entries(
+      value
+    )) {
+      const transactionType =
+        findTransactionTypeByPayloadName(key);
+
+      const entries = Array.isArray(entry)
+        ? entry
+        : [entry];
+
+      if (transactionType) {
+        for (const transaction of entries) {
+          if (
+            Array.isArray(
+              readPayloadValue(
+                transaction,
+                "Line"
+              )
+            )
+          ) {
+            rememberCapturedTransaction(
+              transactionType,
+              transaction
+            );
+          }
+        }
 
-      if (!cells.length) {
         continue;
       }
 
-      const productName =
-        getCellValue(
-          cells[headerMap.product]
-        );
-
-      const sku =
-        getCellValue(cells[headerMap.sku]);
-
-      const description =
-        getCellValue(
-          cells[headerMap.description]
-        );
+      if (key.toLowerCase() === "item") {
+        entries.forEach(rememberCapturedItem);
+        continue;
+      }
 
-      const rawQuantity =
-        getCellValue(
-          cells[headerMap.quantity]
+      if (key.toLowerCase() === "customer") {
+        entries.forEach(
+          rememberCapturedCustomer
         );
+        continue;
+      }
 
-      const parsedQuantity =
-        tryParseNumber(rawQuantity);
-
-      const quantity =
-        parsedQuantity == null
-          ? 0
-          : parsedQuantity;
-
-      if (
-        !productName &&
-        !sku &&
-        !description
-      ) {
+      if (key.toLowerCase() === "companyinfo") {
+        entries.forEach(rememberCompanyInfo);
         continue;
       }
 
-      rows.push({
-        productName,
-        sku,
-        description,
-        quantity,
-      });
+      collectPayloadEntities(entry, depth + 1);
     }
-
-    log("Extracted invoice rows:", rows);
-
-    return rows;
   }
 
-  function extractData() {
-    const root = getInvoiceRoot();
+  function inspectPayloadText(url, text) {
+    rememberCompanyFromUrl(url);
 
-    if (!root) {
-      return {
-        customerName: "",
-        billingAddress: "N/A",
-        shippingAddress: "N/A",
-        invoiceNumber: "N/A",
-        invoiceDate: "N/A",
-        orderNumber: "",
-        jobName: "",
-        phoneNumber: "",
-        rows: [],
-      };
+    if (
+      !PAYLOAD_URL_PATTERN.test(String(url)) ||
+      !text
+    ) {
+      return;
     }
 
-    return {
-      ...extractHeaderData(root),
-      rows: extractRows(root),
-    };
+    try {
+      collectPayloadEntities(JSON.parse(text));
+    } catch (error) {
+      // Not JSON, or not a shape we understand.
+    }
   }
 
-  // =========================================================
-  // Stable extraction
-  // =========================================================
-
-  function createDataSignature(data) {
-    return JSON.stringify({
-      customerName: data.customerName,
-      billingAddress: data.billingAddress,
-      shippingAddress: data.shippingAddress,
-      invoiceNumber: data.invoiceNumber,
-      invoiceDate: data.invoiceDate,
-      orderNumber: data.orderNumber,
-      jobName: data.jobName,
-      phoneNumber: data.phoneNumber,
-      rows: data.rows.map((row) => ({
-        productName: row.productName,
-        sku: row.sku,
-        description: row.description,
-        quantity: row.quantity,
-      })),
-    });
+  function isJsonContentType(contentType) {
+    return /json/i.test(contentType || "");
   }
 
-  async function getStableExtractedData() {
-    let previousSignature = "";
-    let latestData = extractData();
+  function installPayloadCapture() {
+    const originalFetch = window.fetch;
 
-    for (
-      let attempt = 0;
-      attempt < CONFIG.stableReadAttempts;
-      attempt++
-    ) {
-      latestData = extractData();
+    if (typeof originalFetch === "function") {
+      window.fetch = function (...args) {
+        const request = originalFetch.apply(
+          this,
+          args
+        );
 
-      const currentSignature =
-        createDataSignature(latestData);
+        request
+          .then((response) => {
+            if (
+              !isJsonContentType(
+                response.headers.get(
+                  "content-type"
+                )
+              )
+            ) {
+              return;
+            }
+
+            return response
+              .clone()
+              .text()
+              .then((text) =>
+                inspectPayloadText(
+                  response.url,
+                  text
+                )
+              );
+          })
+          .catch(() => {});
+
+        return request;
+      };
+    }
 
-      if (
-        latestData.rows.length > 0 &&
-        currentSignature ===
-          previousSignature
-      ) {
-        return latestData;
-      }
+    const originalOpen =
+      XMLHttpRequest.prototype.open;
 
-      previousSignature =
-        currentSignature;
+    const originalSend =
+      XMLHttpRequest.prototype.send;
 
-      await sleep(
-        CONFIG.stableReadDelayMs
+    XMLHttpRequest.prototype.open = function (
+      method,
+      url,
+      ...rest
+    ) {
+      XHR_URLS.set(this, url);
+
+      return originalOpen.call(
+        this,
+        method,
+        url,
+        ...rest
+      );
+    };
+
+    XMLHttpRequest.prototype.send = function (
+      ...args
+    ) {
+      this.addEventListener(
+        "load",
+        () => {
+          if (
+            !isJsonContentType(
+              this.getResponseHeader(
+                "content-type"
+              )
+            )
+          ) {
+            return;
+          }
+
+          if (
+            this.responseType &&
+            this.responseType !== "text"
+          ) {
+            return;
+          }
+
+          inspectPayloadText(
+            XHR_URLS.get(this),
+            this.responseText
+          );
+        },
+        { once: true }
       );
+
+      return originalSend.apply(this, args);
+    };
+  }
+
+  /*
+   * Captured payloads hold the last saved version of the
+   * transaction. Unsaved edits only exist in the form, which is
+   * why new transactions (no txnId yet) always use the DOM.
+   */
+  function getCapturedData(
+    transactionType,
+    transactionId
+  ) {
+    if (
+      !CONFIG.useCapturedPayloads ||
+      !transactionType ||
+      !transactionId
+    ) {
+      return null;
     }
 
-    return latestData;
+    const captured =
+      STATE.capturedTransactions.get(
+        getCapturedTransactionKey(
+          transactionType,
+          transactionId
+        )
+      );
+
+    if (!captured) return null;
+
+    const data = buildDataFromPayload(
+      captured.transaction,
+      captured.transactionType
+    );
+
+    return data.rows.length ? data : null;
   }
 
   // =========================================================
-  // Product-table generation
+  // Invoice header extraction
   // =========================================================
 
-  function isCategoryDescription(
-    description
-  ) {
-    return /^\*+\s*.+?\s*\*+$/.test(
-      normalizeText(description)
+  /*
+   * Optional QBO header fields. They are only on the form when
+   * the company has turned them on, so a missing one is left
+   * blank. registryKey is the SELECTOR_REGISTRY entry for the
+   * editor, viewLabel the label text in read-only views.
+   */
+  const SHIPPING_FIELDS = {
+    shipDate: {
+      label: "Ship date",
+      heading: "SHIP DATE",
+      registryKey: "shipDate",
+      viewLabel: "ship date",
+    },
+    shipVia: {
+      label: "Ship via",
+      heading: "SHIP VIA",
+      registryKey: "shipVia",
+      viewLabel: "ship via",
+    },
+    trackingNumber: {
+      label: "Tracking no.",
+      heading: "TRACKING NO.",
+      registryKey: "trackingNumber",
+      viewLabel: "tracking no\\.?|tracking number",
+    },
+    terms: {
+      label: "Terms",
+      heading: "TERMS",
+      registryKey: "terms",
+      viewLabel: "terms",
+    },
+    dueDate: {
+      label: "Due date",
+      heading: "DUE DATE",
+      registryKey: "dueDate",
+      viewLabel: "due date",
+    },
+    salesRep: {
+      label: "Sales rep",
+      heading: "SALES REP",
+      registryKey: "salesRep",
+      viewLabel: "sales rep",
+    },
+  };
+
+  function buildEmptyShippingData() {
+    return Object.fromEntries(
+      Object.keys(SHIPPING_FIELDS).map(
+        (key) => [key, ""]
+      )
     );
   }
 
-  function formatQuantity(quantity) {
-    const number = Number(quantity);
-
-    if (
-      !Number.isFinite(number) ||
-      number === 0
-    ) {
-      return "";
+  function extractShippingData(root) {
+    const shippingData = {};
+
+    for (const [key, field] of Object.entries(
+      SHIPPING_FIELDS
+    )) {
+      shippingData[key] =
+        getValueFromRootOrDocument(
+          root,
+          field.label,
+          field.registryKey
+        );
     }
 
-    return Number.isInteger(number)
-      ? String(number)
-      : String(number);
+    return shippingData;
   }
 
-  function buildProductTable(
-    rows,
-    combineQuantities
-  ) {
-    let tableRows = "";
+  function readQuickfillContact(root) {
+    const quickfill =
+      queryRegistryInRootOrDocument(
+        root,
+        "contactQuickfillData"
+      );
 
-    if (combineQuantities) {
-      /*
-       * Pick Slip:
-       * - exclude category/description-only rows
-       * - combine identical SKUs
-       * - Product Name comes from Product/service
-       */
-      const groupedProducts = new Map();
+    const rawProperties =
+      quickfill?.element.getAttribute(
+        "data-props"
+      );
 
-      for (const row of rows) {
-        const categoryRow =
-          !row.productName &&
-          !row.sku &&
-          isCategoryDescription(
-            row.description
-          );
+    if (!rawProperties) return null;
 
-        if (categoryRow) {
-          continue;
-        }
+    try {
+      const parsedProperties =
+        JSON.parse(rawProperties);
+
+      return parsedProperties?.contact
+        ? {
+            name: quickfill.name,
+            contact: parsedProperties.contact,
+          }
+        : null;
+    } catch (error) {
+      warn(
+        "Could not parse customer QuickFill data.",
+        error
+      );
 
-        if (
-          !row.productName &&
-          !row.sku
-        ) {
-          continue;
-        }
+      return null;
+    }
+  }
 
-        const quantity =
-          Number(row.quantity);
+  function extractCustomerName(root, type) {
+    const customerMatch =
+      queryRegistryInRootOrDocument(
+        root,
+        type.selectors.customer
+      );
 
-        if (!Number.isFinite(quantity)) {
-          continue;
-        }
+    const customerInputValue =
+      getInputValue(customerMatch?.element);
 
-        const normalizedSku =
-          normalizeText(row.sku);
+    if (customerInputValue) {
+      recordDiagnostic(
+        "Customer",
+        customerMatch.name,
+        customerInputValue
+      );
 
-        const normalizedName =
-          normalizeText(row.productName);
+      return customerInputValue;
+    }
 
-        const key = normalizedSku
-          ? `SKU:${normalizedSku.toUpperCase()}`
-          : `NAME:${normalizedName.toLowerCase()}`;
+    const quickfill =
+      readQuickfillContact(root);
 
-        if (
-          !groupedProducts.has(key)
-        ) {
-          groupedProducts.set(key, {
-            productName: normalizedName,
-            sku: normalizedSku,
-            quantity,
-          });
-        } else {
-          groupedProducts.get(
-            key
-          ).quantity += quantity;
-        }
-      }
+    const displayName = normalizeText(
+      quickfill?.contact.displayName || ""
+    );
 
-      for (const product of groupedProducts.values()) {
-        tableRows += `
-          <tr>
-            <td>${escapeHtml(
-              product.productName
-            )}</td>
-            <td>${escapeHtml(
-              product.sku
-            )}</td>
-            <td class="quantity-cell">${escapeHtml(
-              formatQuantity(
-                product.quantity
-              )
-            )}</td>
-          </tr>
-        `;
-      }
-    } else {
-      /*
-       * Print:
-       * - Product/service for normal products
-       * - Description only for category headers such as ** Kitchen **
-       */
-      for (const row of rows) {
-        let displayName =
-          normalizeText(row.productName);
-
-        const categoryRow =
-          !displayName &&
-          !normalizeText(row.sku) &&
-          isCategoryDescription(
-            row.description
-          );
+    if (displayName) {
+      recordDiagnostic(
+        "Customer",
+        quickfill.name,
+        displayName
+      );
 
-        if (categoryRow) {
-          displayName =
-            normalizeText(
-              row.description
-            );
-        }
+      return displayName;
+    }
 
+    recordDiagnostic(
+      "Customer",
+      customerMatch?.name ?? null,
+      ""
+    );
+
+    return "";
+  }
+
+  function readCustomFieldLabel(field) {
+    for (const selector of getSelectors(
+      "customFieldLabel"
+    )) {
+      for (const element of field.querySelectorAll(
+        selector
+      )) {
+        /*
+         * Skip wrappers around the input: their text would
+         * include a dropdown's options.
+         */
         if (
-          !displayName &&
-          !normalizeText(row.sku)
+          element.querySelector(
+            "input, textarea, select"
+          )
         ) {
           continue;
         }
 
-        tableRows += `
-          <tr class="${
-            categoryRow
-              ? "category-row"
-              : ""
-          }">
-            <td>${escapeHtml(
-              displayName
-            )}</td>
-            <td>${escapeHtml(
-              row.sku
-            )}</td>
-            <td class="quantity-cell">${escapeHtml(
-              categoryRow
-                ? ""
-                : formatQuantity(
-                    row.quantity
-                  )
-            )}</td>
-          </tr>
-        `;
-      }
-    }
+        const text = normalizeText(
+          element.textContent
+        );
 
-    if (!tableRows) {
-      return (
-        "<p>No valid invoice products were found.</p>"
-      );
+        if (text) return text;
+      }
     }
 
-    return `
-      <table class="product-table">
-        <thead>
-          <tr>
-            <th>Product Name</th>
-            <th>SKU</th>
-            <th class="quantity-heading">Quantity</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${tableRows}
-        </tbody>
-      </table>
-    `;
+    return "";
   }
 
-  // =========================================================
-  // Print layout
-  // =========================================================
+  function extractCustomFields(root) {
+    const customFields = {};
+    const seenFields = new Set();
 
-  function generatePrintLayout(
-    data,
-    productTable
-  ) {
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <title>Invoice ${escapeHtml(
-    data.invoiceNumber
-  )}</title>
+    const searchRoots =
+      root && root !== document
+        ? [root, document]
+        : [document];
 
-  <style>
-    * {
-      box-sizing: border-box;
-    }
+    for (const searchRoot of searchRoots) {
+      const fields = Array.from(
+        searchRoot.querySelectorAll(
+          getSelectors("customField").join(",")
+        )
+      );
 
-    html,
-    body {
-      margin: 0;
-      padding: 0;
-    }
+      for (const field of fields) {
+        if (seenFields.has(field)) continue;
 
-    body {
-      font-family: Arial, sans-serif;
-      font-size: 13px;
-      line-height: 1.35;
-      color: #000;
-    }
+        seenFields.add(field);
 
-    .maincontainer {
-      width: 100%;
-      margin: 0 auto;
-      padding: 14px;
-    }
+        /*
+         * Read only the nested input. Do not use the wrapper's
+         * textContent because that includes the label.
+         */
+        const input = queryRegistry(
+          field,
+          "customFieldInput"
+        );
 
-    .top-header {
-      display: flex;
-      justify-content: space-between;
-      align-items: flex-start;
-      gap: 20px;
-    }
+        const definitionId =
+          input?.element
+            .getAttribute("name")
+            ?.match(/(\d{6,})$/)?.[1] || "";
 
-    .company-info {
-      width: 68%;
-    }
+        const label =
+          readCustomFieldLabel(field) ||
+          normalizeText(
+            input?.element.getAttribute(
+              "aria-label"
+            ) || ""
+          ) ||
+          (definitionId
+            ? `Field ${definitionId}`
+            : "");
+
+        if (!label || label in customFields) {
+          continue;
+        }
+
+        const value = getInputValue(
+          input?.element
+        );
+
+        customFields[label] = value;
+
+        recordDiagnostic(
+          label,
+          input ? input.name : null,
+          value
+        );
+      }
+    }
+
+    return customFields;
+  }
+
+  function getCustomFieldValue(
+    customFields,
+    label
+  ) {
+    const normalizedLabel =
+      normalizeText(label).toLowerCase();
+
+    const key = Object.keys(
+      customFields || {}
+    ).find(
+      (candidate) =>
+        candidate.toLowerCase() ===
+        normalizedLabel
+    );
+
+    return key == null ? "" : customFields[key];
+  }
+
+  /*
+   * orderNumber, jobName and phoneNumber stay on the data model
+   * for the fixed parts of the layout; everything else is read
+   * from customFields.
+   */
+  function buildCustomFieldData(customFields) {
+    return {
+      customFields,
+      orderNumber: getCustomFieldValue(
+        customFields,
+        "ORDER NUMBER"
+      ),
+      jobName: getCustomFieldValue(
+        customFields,
+        "JOB NAME"
+      ),
+      phoneNumber: getCustomFieldValue(
+        customFields,
+        "Phone"
+      ),
+    };
+  }
+
+  function extractHeaderData(root, type) {
+    const customerName =
+      extractCustomerName(root, type);
+
+    const rawBillingAddress =
+      getValueFromRootOrDocument(
+        root,
+        "Billing address",
+        type.selectors.billingAddress
+      );
+
+    const billingAddress =
+      joinCustomerAndAddress(
+        customerName,
+        rawBillingAddress
+      );
+
+    const shippingAddress =
+      getValueFromRootOrDocument(
+        root,
+        "Shipping address",
+        type.selectors.shippingAddress
+      ) || "N/A";
+
+    const invoiceNumberMatch =
+      queryRegistryInRootOrDocument(
+        root,
+        type.selectors.number
+      );
+
+    const invoiceNumberElement =
+      invoiceNumberMatch?.element;
+
+    /*
+     * Sales forms show the number as read-only text, purchase
+     * orders as an editable input.
+     */
+    const invoiceNumber =
+      getInputValue(invoiceNumberElement) ||
+      normalizeText(
+        invoiceNumberElement?.textContent || ""
+      ) ||
+      "N/A";
+
+    recordDiagnostic(
+      "Number",
+      invoiceNumberMatch?.name ?? null,
+      invoiceNumber === "N/A"
+        ? ""
+        : invoiceNumber
+    );
+
+    const invoiceDate =
+      getValueFromRootOrDocument(
+        root,
+        "Date",
+        type.selectors.date
+      ) || "N/A";
+
+    const shippingData =
+      extractShippingData(root);
+
+    const customFieldData =
+      buildCustomFieldData(
+        extractCustomFields(root)
+      );
+
+    log("Extracted header data:", {
+      customerName,
+      billingAddress,
+      shippingAddress,
+      invoiceNumber,
+      invoiceDate,
+      ...shippingData,
+      ...customFieldData,
+    });
+
+    return {
+      customerName,
+      billingAddress,
+      shippingAddress,
+      invoiceNumber,
+      invoiceDate,
+      ...shippingData,
+      ...customFieldData,
+    };
+  }
+
+  // =========================================================
+  // Customer record fallbacks
+  // =========================================================
+
+  /*
+   * Contact details from the customer record (the QuickFill
+   * data-props JSON or a captured Customer payload). They can
+   * be printed as order grid fields and fill empty custom
+   * fields listed in CONFIG.contactFallbacks.
+   */
+  const CONTACT_FIELDS = {
+    contactPhone: {
+      label: "Customer phone",
+      heading: "PHONE",
+      names: [
+        "phone",
+        "primaryPhone",
+        "PrimaryPhone",
+      ],
+    },
+    contactMobile: {
+      label: "Customer mobile",
+      heading: "MOBILE",
+      names: ["mobile", "mobilePhone", "Mobile"],
+    },
+    contactEmail: {
+      label: "Customer email",
+      heading: "EMAIL",
+      names: [
+        "email",
+        "primaryEmail",
+        "PrimaryEmailAddr",
+      ],
+    },
+    companyName: {
+      label: "Company name",
+      heading: "COMPANY",
+      names: ["companyName", "CompanyName"],
+    },
+  };
+
+  const FIELD_SOURCE_NOTES = {
+    "customer record": {
+      marker: "†",
+      note: "From the customer record",
+    },
+  };
+
+  function readContactValue(contact, names) {
+    const value = readPayloadValue(
+      contact,
+      ...names
+    );
+
+    if (value && typeof value === "object") {
+      return normalizeText(
+        readPayloadValue(
+          value,
+          "FreeFormNumber",
+          "Address",
+          "value"
+        ) ?? ""
+      );
+    }
+
+    return normalizeText(value ?? "");
+  }
+
+  function buildContactDetails(contact) {
+    const details = {};
+
+    for (const [key, field] of Object.entries(
+      CONTACT_FIELDS
+    )) {
+      details[key] = contact
+        ? readContactValue(contact, field.names)
+        : "";
+    }
+
+    return details;
+  }
+
+  function extractContactDetails(
+    root,
+    customerId
+  ) {
+    const capturedCustomer =
+      customerId &&
+      STATE.capturedCustomers.get(customerId);
+
+    const quickfill = capturedCustomer
+      ? null
+      : readQuickfillContact(root);
+
+    const details = buildContactDetails(
+      capturedCustomer ||
+        quickfill?.contact ||
+        null
+    );
+
+    const source = capturedCustomer
+      ? "captured payload"
+      : quickfill?.name ?? null;
+
+    for (const [key, field] of Object.entries(
+      CONTACT_FIELDS
+    )) {
+      recordDiagnostic(
+        field.label,
+        source,
+        details[key]
+      );
+    }
+
+    return details;
+  }
+
+  function applyContactFallbacks(
+    data,
+    contactDetails
+  ) {
+    const customFields = {
+      ...data.customFields,
+    };
+
+    const fieldSources = {
+      ...data.fieldSources,
+    };
+
+    for (const [label, keys] of Object.entries(
+      CONFIG.contactFallbacks
+    )) {
+      if (
+        getCustomFieldValue(customFields, label)
+      ) {
+        continue;
+      }
+
+      const value = keys
+        .map((key) => contactDetails[key])
+        .find(Boolean);
+
+      if (!value) continue;
+
+      const fieldLabel =
+        Object.keys(customFields).find(
+          (candidate) =>
+            candidate.toLowerCase() ===
+            label.toLowerCase()
+        ) ?? label;
+
+      customFields[fieldLabel] = value;
+      fieldSources[fieldLabel.toLowerCase()] =
+        "customer record";
+    }
+
+    return {
+      ...data,
+      ...contactDetails,
+      ...buildCustomFieldData(customFields),
+      fieldSources,
+    };
+  }
+
+  // =========================================================
+  // Invoice line extraction
+  // =========================================================
+
+  function hasRequiredColumns(
+    headerMap,
+    requiredColumns
+  ) {
+    return requiredColumns.every(
+      (column) => headerMap[column] != null
+    );
+  }
+
+  /*
+   * searchDocument also looks outside root, for editor parts
+   * QuickBooks renders elsewhere on the page.
+   */
+  function findInvoiceTable(
+    root,
+    requiredColumns,
+    searchDocument = true
+  ) {
+    const searchRoots = [
+      root,
+      searchDocument ? document : null,
+    ].filter(Boolean);
+
+    for (const searchRoot of searchRoots) {
+      const tables = Array.from(
+        searchRoot.querySelectorAll(
+          getSelectors("lineTable").join(",")
+        )
+      );
+
+      for (const table of tables) {
+        if (
+          hasRequiredColumns(
+            buildHeaderIndexMap(table),
+            requiredColumns
+          )
+        ) {
+          return table;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /*
+   * Maps a line table header to the key used on row.columns and
+   * in CONFIG.lineColumns. Headers without a known key become
+   * camelCase ("Tax code" -> "taxCode"); blank headers (drag
+   * handle, delete button) are skipped.
+   */
+  function getLineColumnKey(headerText) {
+    const label = normalizeText(
+      headerText
+    ).toLowerCase();
+
+    if (!label) return null;
+
+    if (/product\s*\/?\s*service/.test(label)) {
+      return "product";
+    }
+
+    const knownKeys = {
+      "#": "lineNumber",
+      activity: "product",
+      item: "product",
+      product: "product",
+      sku: "sku",
+      description: "description",
+      qty: "quantity",
+      quantity: "quantity",
+      rate: "rate",
+      "unit price": "rate",
+      amount: "amount",
+      class: "class",
+      "service date": "serviceDate",
+      location: "location",
+      "u/m": "unit",
+      uom: "unit",
+      unit: "unit",
+      "unit of measure": "unit",
+    };
+
+    if (knownKeys[label]) {
+      return knownKeys[label];
+    }
+
+    const words = label
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+      .split(" ")
+      .filter(Boolean);
+
+    if (!words.length) return null;
+
+    return words
+      .map((word, index) =>
+        index
+          ? word[0].toUpperCase() +
+            word.slice(1)
+          : word
+      )
+      .join("");
+  }
+
+  function buildHeaderIndexMap(table) {
+    const map = {};
+
+    const headers = Array.from(
+      table.querySelectorAll(
+        getSelectors("lineTableHeader").join(",")
+      )
+    );
+
+    headers.forEach((header, index) => {
+      const key = getLineColumnKey(
+        header.textContent
+      );
+
+      if (key && map[key] == null) {
+        map[key] = index;
+      }
+    });
+
+    return map;
+  }
+
+  function locateLineTable(
+    root,
+    type,
+    view = EXTRACTION_ADAPTERS.editor
+  ) {
+    const table = findInvoiceTable(
+      root,
+      view.requiredColumns || type.requiredColumns
+    );
+
+    if (!table) {
+      warn(
+        `QuickBooks ${type.label.toLowerCase()} product table was not found.`
+      );
+
+      recordDiagnostic("Line table", null, "");
+
+      return null;
+    }
+
+    const headerMap =
+      buildHeaderIndexMap(table);
+
+    const tableBodyMatch =
+      queryRegistry(table, "lineTableBody") ||
+      queryRegistry(
+        table,
+        "lineTableBodyFallback"
+      );
+
+    if (!tableBodyMatch) {
+      warn(
+        "QuickBooks invoice table body was not found."
+      );
+
+      recordDiagnostic("Line table", null, "");
+
+      return null;
+    }
+
+    return {
+      table,
+      headerMap,
+      tableBody: tableBodyMatch.element,
+      tableBodyName: tableBodyMatch.name,
+      rowKey: view.lineRowKey,
+    };
+  }
+
+  /*
+   * QBO numbers its line rows as data-automation-id="line N".
+   * That number is what rows are merged and checked by when the
+   * grid only renders part of the invoice at a time.
+   */
+  function getLineIndex(rowElement, cells, headerMap) {
+    const automationId =
+      rowElement.getAttribute(
+        "data-automation-id"
+      ) || "";
+
+    const match = automationId.match(
+      /line\s+(\d+)/i
+    );
+
+    if (match) {
+      return Number(match[1]);
+    }
+
+    if (headerMap.lineNumber != null) {
+      const lineNumber = tryParseNumber(
+        getCellValue(
+          cells[headerMap.lineNumber]
+        )
+      );
+
+      if (Number.isInteger(lineNumber)) {
+        return lineNumber;
+      }
+    }
+
+    return null;
+  }
+
+  /*
+   * Reads the line rows currently in the DOM. Blank rows are
+   * returned with row: null so their line number still counts
+   * as seen.
+   */
+  function readRenderedLines(lineTable) {
+    const { headerMap, tableBody, rowKey } =
+      lineTable;
+
+    const rowElements = Array.from(
+      tableBody.querySelectorAll(
+        getSelectors(rowKey).join(",")
+      )
+    );
+
+    const lines = [];
+
+    rowElements.forEach((rowElement, position) => {
+      const cells = Array.from(
+        rowElement.querySelectorAll(
+          ":scope > td"
+        )
+      );
+
+      if (!cells.length) {
+        return;
+      }
+
+      const lineIndex =
+        getLineIndex(
+          rowElement,
+          cells,
+          headerMap
+        ) ?? position + 1;
+
+      const productName =
+        getCellValue(
+          cells[headerMap.product]
+        );
+
+      const sku =
+        headerMap.sku == null
+          ? ""
+          : getCellValue(
+              cells[headerMap.sku]
+            );
+
+      const description =
+        getCellValue(
+          cells[headerMap.description]
+        );
+
+      const rawQuantity =
+        getCellValue(
+          cells[headerMap.quantity]
+        );
+
+      const parsedQuantity =
+        parseQuantity(rawQuantity);
+
+      const quantity =
+        parsedQuantity.value == null
+          ? 0
+          : parsedQuantity.value;
+
+      const unit =
+        parsedQuantity.unit ||
+        (headerMap.unit == null
+          ? ""
+          : getCellValue(
+              cells[headerMap.unit]
+            ));
+
+      if (
+        !productName &&
+        !sku &&
+        !description
+      ) {
+        lines.push({ lineIndex, row: null });
+        return;
+      }
+
+      const columns = {};
+
+      for (const [key, index] of Object.entries(
+        headerMap
+      )) {
+        columns[key] = getCellValue(
+          cells[index]
+        );
+      }
+
+      lines.push({
+        lineIndex,
+        row: {
+          lineIndex,
+          productName,
+          sku,
+          description,
+          quantity,
+          unit,
+          columns,
+        },
+      });
+    });
+
+    return lines;
+  }
+
+  function extractRows(root, type, view) {
+    const lineTable = locateLineTable(
+      root,
+      type,
+      view
+    );
+
+    if (!lineTable) {
+      return [];
+    }
+
+    const rows = readRenderedLines(lineTable)
+      .map((line) => line.row)
+      .filter(Boolean);
+
+    recordDiagnostic(
+      "Line table",
+      lineTable.tableBodyName,
+      rows.length
+        ? `${rows.length} rows`
+        : ""
+    );
+
+    log("Extracted invoice rows:", rows);
+
+    return rows;
+  }
+
+  function findScrollContainer(element) {
+    for (
+      let current = element?.parentElement;
+      current && current !== document.body;
+      current = current.parentElement
+    ) {
+      const overflowY =
+        getComputedStyle(current).overflowY;
+
+      if (
+        /auto|scroll|overlay/.test(overflowY) &&
+        current.scrollHeight >
+          current.clientHeight + 1
+      ) {
+        return current;
+      }
+    }
+
+    return (
+      document.scrollingElement ||
+      document.documentElement
+    );
+  }
+
+  /*
+   * How many lines the transaction should have, so lines
+   * missing after the last one read are caught too. The grid's
+   * aria-rowcount counts rows it has not rendered; otherwise
+   * the saved transaction's line numbers are used, which is
+   * only wrong when lines were removed and not yet saved.
+   */
+  function getExpectedLineCount(lineTable, type) {
+    const grid = lineTable.tableBody.closest(
+      "[aria-rowcount]"
+    );
+
+    const rowCount = Number(
+      grid?.getAttribute("aria-rowcount")
+    );
+
+    if (Number.isInteger(rowCount) && rowCount > 0) {
+      const headerRows =
+        grid.querySelectorAll("thead tr").length;
+
+      return {
+        count: rowCount - headerRows,
+        source: "grid",
+      };
+    }
+
+    const captured =
+      STATE.capturedTransactions.get(
+        getCapturedTransactionKey(
+          findTransactionTypeByPayloadName(
+            type.payloadName
+          ),
+          getInvoiceId()
+        )
+      );
+
+    const lines = readPayloadValue(
+      captured?.transaction,
+      "Line"
+    );
+
+    const lineNumbers = (
+      Array.isArray(lines) ? lines : []
+    )
+      .map((line) =>
+        Number(readPayloadValue(line, "LineNum"))
+      )
+      .filter(Number.isInteger);
+
+    return lineNumbers.length
+      ? {
+          count: Math.max(...lineNumbers),
+          source: "saved transaction",
+        }
+      : null;
+  }
+
+  function findMissingLines(
+    lineIndexes,
+    expectedCount = 0
+  ) {
+    const highestLine = Math.max(
+      0,
+      expectedCount,
+      ...lineIndexes
+    );
+
+    const missingLines = [];
+
+    for (
+      let lineIndex = 1;
+      lineIndex <= highestLine;
+      lineIndex++
+    ) {
+      if (!lineIndexes.has(lineIndex)) {
+        missingLines.push(lineIndex);
+      }
+    }
+
+    return missingLines;
+  }
+
+  /*
+   * Large invoices only keep the visible part of the line grid
+   * in the DOM. Walk the grid's scroll container from top to
+   * bottom, merge rows by line number, then put the scroll
+   * position back. Gaps in QBO's line numbering mean rows could
+   * not be read and are reported as missingLines.
+   */
+  async function harvestRows(root, type, view) {
+    const lineTable = locateLineTable(
+      root,
+      type,
+      view
+    );
+
+    if (!lineTable) {
+      return {
+        rows: [],
+        missingLines: [],
+        incomplete: false,
+      };
+    }
+
+    const seenLines = new Set();
+    const rowsByLine = new Map();
+
+    const collect = () => {
+      for (const line of readRenderedLines(
+        lineTable
+      )) {
+        seenLines.add(line.lineIndex);
+
+        if (line.row) {
+          rowsByLine.set(
+            line.lineIndex,
+            line.row
+          );
+        }
+      }
+    };
+
+    collect();
+
+    const container = findScrollContainer(
+      lineTable.tableBody
+    );
+
+    const canScroll =
+      CONFIG.harvestByScrolling &&
+      container.scrollHeight >
+        container.clientHeight + 1;
+
+    // Still false after the walk means the step cap was hit.
+    let reachedBottom = !canScroll;
+
+    if (canScroll) {
+      const originalScrollTop =
+        container.scrollTop;
+
+      const step = Math.max(
+        80,
+        Math.floor(container.clientHeight * 0.8)
+      );
+
+      try {
+        container.scrollTop = 0;
+        await sleep(CONFIG.harvestScrollDelayMs);
+        collect();
+
+        for (
+          let stepCount = 0;
+          stepCount < CONFIG.harvestMaxScrollSteps;
+          stepCount++
+        ) {
+          const atBottom =
+            container.scrollTop +
+              container.clientHeight >=
+            container.scrollHeight - 1;
+
+          if (atBottom) {
+            reachedBottom = true;
+            break;
+          }
+
+          container.scrollTop += step;
+          await sleep(
+            CONFIG.harvestScrollDelayMs
+          );
+          collect();
+        }
+      } finally {
+        container.scrollTop =
+          originalScrollTop;
+      }
+    }
+
+    const expectedLines =
+      getExpectedLineCount(lineTable, type);
+
+    const missingLines = findMissingLines(
+      seenLines,
+      expectedLines?.count
+    );
+
+    const incomplete = !reachedBottom;
+
+    const rows = Array.from(
+      rowsByLine.values()
+    ).sort(
+      (left, right) =>
+        left.lineIndex - right.lineIndex
+    );
+
+    recordDiagnostic(
+      "Line numbering",
+      canScroll
+        ? "scrolled line grid"
+        : "rendered rows",
+      [
+        missingLines.length
+          ? `missing lines ${missingLines.join(", ")}`
+          : `${seenLines.size} lines`,
+        expectedLines
+          ? `expected ${expectedLines.count} (${expectedLines.source})`
+          : "",
+        incomplete ? "stopped before the end" : "",
+      ]
+        .filter(Boolean)
+        .join(", ")
+    );
+
+    log("Harvested invoice rows:", {
+      rows,
+      missingLines,
+      expectedLines,
+      incomplete,
+    });
+
+    return {
+      rows,
+      missingLines,
+      expectedLines,
+      incomplete,
+    };
+  }
+
+  // =========================================================
+  // Extraction adapters
+  // =========================================================
+
+  /*
+   * textContent with <br> and block boundaries kept as line
+   * breaks. innerText would do this, but returns nothing useful
+   * for content that is not rendered (a hidden preview frame).
+   */
+  function getElementText(element) {
+    if (!element) return "";
+
+    const clone = element.cloneNode(true);
+
+    for (const lineBreak of clone.querySelectorAll(
+      "br"
+    )) {
+      lineBreak.replaceWith("\n");
+    }
+
+    for (const block of clone.querySelectorAll(
+      "div, p, li, tr"
+    )) {
+      block.append("\n");
+    }
+
+    return normalizeMultiline(
+      clone.textContent
+    );
+  }
+
+  /*
+   * Read-only views and the send preview print values as text
+   * next to their labels instead of in labelled inputs.
+   */
+  const VIEW_LABELS = {
+    billingAddress: "bill to|invoice to|sold to|credit to|customer",
+    shippingAddress: "ship to",
+    number:
+      "(?:invoice|estimate|receipt|sales receipt|credit|credit memo|p\\.?o\\.?|purchase order)\\s*(?:no\\.?|#|number)",
+    date: "(?:invoice |estimate |receipt |credit memo |purchase order )?date",
+  };
+
+  function findLabelledValue(root, labelSource) {
+    const pattern = new RegExp(
+      `^(?:${labelSource})\\s*:?\\s*(.*)$`,
+      "i"
+    );
+
+    const elements = root.querySelectorAll(
+      getSelectors("labelledText").join(",")
+    );
+
+    for (const element of elements) {
+      if (element.children.length > 1) {
+        continue;
+      }
+
+      const text = normalizeText(
+        element.textContent
+      );
+
+      if (!text || text.length > 60) {
+        continue;
+      }
+
+      const match = text.match(pattern);
+
+      if (!match) continue;
+
+      if (match[1]) {
+        return match[1];
+      }
+
+      const valueElement =
+        element.nextElementSibling ||
+        element.parentElement
+          ?.nextElementSibling;
+
+      const value = getElementText(
+        valueElement
+      );
+
+      if (value) return value;
+    }
+
+    return "";
+  }
+
+  function readLabelledField(
+    root,
+    field,
+    labelSource
+  ) {
+    const value = findLabelledValue(
+      root,
+      labelSource
+    );
+
+    recordDiagnostic(
+      field,
+      value ? `label "${field}"` : null,
+      value
+    );
+
+    return value;
+  }
+
+  function extractLabelledHeaderData(root, type) {
+    const rawBillingAddress =
+      readLabelledField(
+        root,
+        "Billing address",
+        VIEW_LABELS.billingAddress
+      );
+
+    const customerName =
+      getInputValue(
+        queryRegistry(
+          root,
+          type.selectors.customer
+        )?.element
+      ) ||
+      rawBillingAddress.split("\n")[0] ||
+      "";
+
+    recordDiagnostic(
+      "Customer",
+      customerName
+        ? "first billing address line"
+        : null,
+      customerName
+    );
+
+    const customFields =
+      extractCustomFields(root);
+
+    const shippingData = {};
+
+    for (const [key, field] of Object.entries(
+      SHIPPING_FIELDS
+    )) {
+      shippingData[key] = readLabelledField(
+        root,
+        field.label,
+        field.viewLabel
+      );
+    }
+
+    for (const label of Object.values(
+      CONFIG.orderGridFields
+    ).flat()) {
+      if (
+        typeof label !== "string" ||
+        label === "*" ||
+        getCustomFieldValue(customFields, label)
+      ) {
+        continue;
+      }
+
+      customFields[label] = readLabelledField(
+        root,
+        label,
+        escapeRegExp(label)
+      );
+    }
+
+    return {
+      customerName,
+      billingAddress: joinCustomerAndAddress(
+        customerName,
+        rawBillingAddress
+      ),
+      shippingAddress:
+        readLabelledField(
+          root,
+          "Shipping address",
+          VIEW_LABELS.shippingAddress
+        ) || "N/A",
+      invoiceNumber:
+        readLabelledField(
+          root,
+          "Number",
+          VIEW_LABELS.number
+        ) || "N/A",
+      invoiceDate:
+        readLabelledField(
+          root,
+          "Date",
+          VIEW_LABELS.date
+        ) || "N/A",
+      ...shippingData,
+      ...buildCustomFieldData(customFields),
+    };
+  }
+
+  function findPreviewRoot() {
+    const frame = queryRegistry(
+      document,
+      "previewFrame"
+    );
+
+    try {
+      const frameBody =
+        frame?.element.contentDocument?.body;
+
+      if (frameBody) {
+        return frameBody;
+      }
+    } catch (error) {
+      // Cross-origin preview; fall back to the modal itself.
+    }
+
+    return (
+      queryRegistry(document, "previewRoot")
+        ?.element || null
+    );
+  }
+
+  /*
+   * The editor is only the active view while its inputs are
+   * on the page; read-only views reuse the same txnId URL.
+   */
+  function hasEditableInputs(root, type) {
+    return Boolean(
+      queryRegistry(root, type.selectors.customer) ||
+        queryRegistry(root, type.selectors.date) ||
+        queryRegistry(root, "lineProductInput")
+    );
+  }
+
+  /*
+   * The read-only and preview roots are only accepted once
+   * they hold a line table of their own, so unrelated dialogs
+   * are ignored.
+   */
+  function hasOwnLineTable(root, type, adapter) {
+    return Boolean(
+      findInvoiceTable(
+        root,
+        adapter.requiredColumns ||
+          type.requiredColumns,
+        false
+      )
+    );
+  }
+
+  /*
+   * Each adapter finds one way QBO shows a transaction and
+   * turns it into the same data model. They are tried in order:
+   * the editor first because its inputs hold unsaved edits.
+   */
+  const EXTRACTION_ADAPTERS = {
+    editor: {
+      dataSource: "page",
+      requiresTransactionPage: true,
+      lineRowKey: "lineRow",
+      findRoot: (type) => getInvoiceRoot(type),
+      isAvailable: hasEditableInputs,
+      extractHeader: extractHeaderData,
+    },
+    readOnly: {
+      dataSource: "read-only view",
+      requiresTransactionPage: false,
+      lineRowKey: "lineRow",
+      findRoot: () =>
+        queryRegistry(document, "readOnlyRoot")
+          ?.element || null,
+      isAvailable: hasOwnLineTable,
+      extractHeader: extractLabelledHeaderData,
+    },
+    preview: {
+      dataSource: "preview",
+      requiresTransactionPage: false,
+      lineRowKey: "previewLineRow",
+      // Invoice templates can hide SKU and description.
+      requiredColumns: ["product", "quantity"],
+      findRoot: findPreviewRoot,
+      isAvailable: hasOwnLineTable,
+      extractHeader: extractLabelledHeaderData,
+    },
+  };
+
+  function detectTransactionTypeFromText(root) {
+    const heading = normalizeText(
+      root.textContent.slice(0, 2000)
+    ).toLowerCase();
+
+    return (
+      Object.keys(TRANSACTION_TYPES).find(
+        (key) =>
+          heading.includes(
+            TRANSACTION_TYPES[key].titleKeyword
+          )
+      ) || "invoice"
+    );
+  }
+
+  function findActiveView() {
+    const detectedType =
+      detectTransactionType();
+
+    for (const adapter of Object.values(
+      EXTRACTION_ADAPTERS
+    )) {
+      if (
+        adapter.requiresTransactionPage &&
+        !detectedType
+      ) {
+        continue;
+      }
+
+      const root = adapter.findRoot(
+        getTransactionType(detectedType)
+      );
+
+      if (!root) continue;
+
+      const transactionType =
+        detectedType ||
+        detectTransactionTypeFromText(root);
+
+      const type = getTransactionType(
+        transactionType
+      );
+
+      if (!adapter.isAvailable(root, type, adapter)) {
+        continue;
+      }
+
+      return {
+        adapter,
+        root,
+        transactionType,
+      };
+    }
+
+    return null;
+  }
+
+  function isPrintableViewOpen() {
+    return Boolean(findActiveView());
+  }
+
+  const PAYLOAD_FILL_FIELDS = [
+    "customerName",
+    "billingAddress",
+    "shippingAddress",
+    "invoiceNumber",
+    "invoiceDate",
+    ...Object.keys(SHIPPING_FIELDS),
+  ];
+
+  function isMissingValue(value) {
+    return !normalizeText(value) || value === "N/A";
+  }
+
+  /*
+   * Fields the open form leaves empty (hidden columns, custom
+   * fields QBO doesn't render) are taken from the saved
+   * payload; anything the form shows wins.
+   */
+  function fillFromCapturedData(pageData, capturedData) {
+    if (
+      capturedData.transactionType !==
+      pageData.transactionType
+    ) {
+      return pageData;
+    }
+
+    const filled = { ...pageData };
+
+    for (const key of PAYLOAD_FILL_FIELDS) {
+      if (
+        isMissingValue(pageData[key]) &&
+        !isMissingValue(capturedData[key])
+      ) {
+        filled[key] = capturedData[key];
+      }
+    }
+
+    const customFields = {
+      ...pageData.customFields,
+    };
+
+    for (const [label, value] of Object.entries(
+      capturedData.customFields || {}
+    )) {
+      if (
+        isMissingValue(
+          getCustomFieldValue(customFields, label)
+        )
+      ) {
+        customFields[label] = value;
+      }
+    }
+
+    return {
+      ...filled,
+      ...buildCustomFieldData(customFields),
+      customerId:
+        pageData.customerId ||
+        capturedData.customerId,
+    };
+  }
+
+  function extractData() {
+    resetDiagnostics();
+
+    const view = findActiveView();
+
+    const capturedData = getCapturedData(
+      view?.transactionType ||
+        detectTransactionType(),
+      getInvoiceId()
+    );
+
+    /*
+     * The editor's inputs hold unsaved edits, so while it is
+     * open the form is read and the payload only fills gaps.
+     * Read-only views and previews show the saved transaction,
+     * which the payload has exactly.
+     */
+    const isEditing =
+      view?.adapter === EXTRACTION_ADAPTERS.editor;
+
+    if (capturedData && !isEditing) {
+      log(
+        "Using captured payload data:",
+        capturedData
+      );
+
+      recordPayloadDiagnostics(capturedData);
+
+      return applyContactFallbacks(
+        capturedData,
+        extractContactDetails(
+          document,
+          capturedData.customerId
+        )
+      );
+    }
+
+    if (!view) {
+      return {
+        transactionType:
+          detectTransactionType() || "invoice",
+        customerName: "",
+        billingAddress: "N/A",
+        shippingAddress: "N/A",
+        invoiceNumber: "N/A",
+        invoiceDate: "N/A",
+        ...buildEmptyShippingData(),
+        ...buildContactDetails(null),
+        ...buildCustomFieldData({}),
+        rows: [],
+        dataSource: "page",
+      };
+    }
+
+    const type = getTransactionType(
+      view.transactionType
+    );
+
+    let pageData = {
+      transactionType: view.transactionType,
+      ...view.adapter.extractHeader(
+        view.root,
+        type
+      ),
+      rows: extractRows(
+        view.root,
+        type,
+        view.adapter
+      ),
+      dataSource: view.adapter.dataSource,
+    };
+
+    if (capturedData) {
+      pageData = fillFromCapturedData(
+        pageData,
+        capturedData
+      );
+    }
+
+    return applyContactFallbacks(
+      pageData,
+      extractContactDetails(
+        view.root,
+        pageData.customerId || null
+      )
+    );
+  }
+
+  // =========================================================
+  // Stable extraction
+  // =========================================================
+
+  function createDataSignature(data) {
+    return JSON.stringify({
+      transactionType: data.transactionType,
+      customerName: data.customerName,
+      billingAddress: data.billingAddress,
+      shippingAddress: data.shippingAddress,
+      invoiceNumber: data.invoiceNumber,
+      invoiceDate: data.invoiceDate,
+      ...Object.fromEntries(
+        Object.keys(SHIPPING_FIELDS).map(
+          (key) => [key, data[key]]
+        )
+      ),
+      ...Object.fromEntries(
+        Object.keys(CONTACT_FIELDS).map(
+          (key) => [key, data[key]]
+        )
+      ),
+      customFields: data.customFields,
+      fieldSources: data.fieldSources,
+      dataSource: data.dataSource,
+      rows: data.rows.map((row) => ({
+        productName: row.productName,
+        sku: row.sku,
+        description: row.description,
+        quantity: row.quantity,
+        unit: row.unit,
+        columns: row.columns,
+      })),
+    });
+  }
+
+  async function getStableExtractedData() {
+    let previousSignature = "";
+    let latestData = extractData();
+
+    for (
+      let attempt = 0;
+      attempt < CONFIG.stableReadAttempts;
+      attempt++
+    ) {
+      latestData = extractData();
+
+      const currentSignature =
+        createDataSignature(latestData);
+
+      if (
+        latestData.rows.length > 0 &&
+        currentSignature ===
+          previousSignature
+      ) {
+        break;
+      }
+
+      previousSignature =
+        currentSignature;
+
+      await sleep(
+        CONFIG.stableReadDelayMs
+      );
+    }
+
+    const view =
+      latestData.dataSource === "payload"
+        ? null
+        : findActiveView();
+
+    if (view && latestData.rows.length > 0) {
+      const harvest = await harvestRows(
+        view.root,
+        getTransactionType(
+          view.transactionType
+        ),
+        view.adapter
+      );
+
+      latestData = {
+        ...latestData,
+        rows: harvest.rows,
+        missingLines: harvest.missingLines,
+        expectedLines: harvest.expectedLines,
+        harvestIncomplete: harvest.incomplete,
+      };
+    }
+
+    renderDiagnosticsPanel(latestData);
+
+    return latestData;
+  }
+
+  // =========================================================
+  // Browser storage
+  // =========================================================
+
+  /*
+   * Reference tables imported through the Tools panel live in
+   * this page's localStorage, so they survive reloads but stay
+   * on this browser profile.
+   */
+  const STORAGE_PREFIX = "qboDeliveryNote:";
+
+  function readStoredJson(key, fallback) {
+    try {
+      const raw = localStorage.getItem(
+        STORAGE_PREFIX + key
+      );
+
+      return raw == null
+        ? fallback
+        : JSON.parse(raw);
+    } catch (error) {
+      warn("Could not read stored", key, error);
+      return fallback;
+    }
+  }
+
+  function writeStoredJson(key, value) {
+    try {
+      localStorage.setItem(
+        STORAGE_PREFIX + key,
+        JSON.stringify(value)
+      );
+
+      return true;
+    } catch (error) {
+      warn("Could not store", key, error);
+      return false;
+    }
+  }
+
+  function removeStored(key) {
+    try {
+      localStorage.removeItem(
+        STORAGE_PREFIX + key
+      );
+    } catch (error) {
+      warn("Could not remove", key, error);
+    }
+  }
+
+  // =========================================================
+  // CSV import
+  // =========================================================
+
+  /*
+   * Handles quoted fields, doubled quotes, embedded commas and
+   * line breaks, and CRLF files saved from Excel.
+   */
+  function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+
+    const source = String(text ?? "").replace(
+      /^\uFEFF/,
+      ""
+    );
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        record.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (
+          char === "\r" &&
+          source[i + 1] === "\n"
+        ) {
+          i++;
+        }
+
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records.filter((cells) =>
+      cells.some((cell) => normalizeText(cell))
+    );
+  }
+
+  function normalizeCsvHeader(header) {
+    return normalizeText(header)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "");
+  }
+
+  /*
+   * Rows as objects keyed by their header, lower-cased with
+   * spaces and punctuation removed ("Walk Order" -> walkorder).
+   */
+  function parseCsvRecords(text) {
+    const [headers = [], ...records] =
+      parseCsv(text);
+
+    const keys = headers.map(
+      normalizeCsvHeader
+    );
+
+    return records.map((cells) =>
+      Object.fromEntries(
+        keys.map((key, index) => [
+          key,
+          normalizeText(cells[index]),
+        ])
+      )
+    );
+  }
+
+  function readCsvColumn(record, names) {
+    for (const name of names) {
+      if (record[name]) {
+        return record[name];
+      }
+    }
+
+    return "";
+  }
+
+  // =========================================================
+  // SKU matching
+  // =========================================================
+
+  const SKU_ALIASES_KEY = "skuAliases";
+
+  const SKU_ALIAS_COLUMNS = {
+    alias: ["alias", "alternativesku", "oldsku", "suppliersku"],
+    sku: ["sku", "mainsku", "productcode", "code"],
+  };
+
+  /*
+   * Looked up for every line while grouping, so the parsed
+   * table is kept until the next import or clear.
+   */
+  function loadSkuAliases() {
+    STATE.skuAliases ??= readStoredJson(
+      SKU_ALIASES_KEY,
+      {}
+    );
+
+    return STATE.skuAliases;
+  }
+
+  /*
+   * Upper-cased, without the ignored characters or a stripped
+   * prefix. Used only for comparing; the printed SKU keeps its
+   * own spelling.
+   */
+  function normalizeSkuForMatching(sku) {
+    const grouping = CONFIG.pickSlipGrouping;
+
+    let value = normalizeText(sku).toUpperCase();
+
+    for (const prefix of grouping.stripPrefixes) {
+      const normalizedPrefix = normalizeText(
+        prefix
+      ).toUpperCase();
+
+      if (
+        normalizedPrefix &&
+        value.startsWith(normalizedPrefix)
+      ) {
+        value = value.slice(
+          normalizedPrefix.length
+        );
+        break;
+      }
+    }
+
+    if (grouping.ignoreCharacters) {
+      value = value.replace(
+        new RegExp(
+          `[${escapeRegExp(
+            grouping.ignoreCharacters
+          )}]`,
+          "g"
+        ),
+        ""
+      );
+    }
+
+    return value;
+  }
+
+  /*
+   * The main SKU an alias stands for, from CONFIG first and
+   * then the imported alias table, or "" when it isn't one.
+   */
+  function resolveSkuAlias(sku) {
+    const key = normalizeSkuForMatching(sku);
+
+    if (!key) return "";
+
+    const configured = Object.entries(
+      CONFIG.pickSlipGrouping.skuAliases
+    ).find(
+      ([alias]) =>
+        normalizeSkuForMatching(alias) === key
+    );
+
+    return configured
+      ? normalizeText(configured[1])
+      : loadSkuAliases()[key] || "";
+  }
+
+  function getCanonicalSku(sku) {
+    return resolveSkuAlias(sku) || normalizeText(sku);
+  }
+
+  function getSkuMatchKey(sku) {
+    return normalizeSkuForMatching(
+      getCanonicalSku(sku)
+    );
+  }
+
+  function importSkuAliasesCsv(text) {
+    const aliases = {};
+    let skipped = 0;
+
+    for (const record of parseCsvRecords(text)) {
+      const alias = normalizeSkuForMatching(
+        readCsvColumn(
+          record,
+          SKU_ALIAS_COLUMNS.alias
+        )
+      );
+
+      const sku = readCsvColumn(
+        record,
+        SKU_ALIAS_COLUMNS.sku
+      );
+
+      if (!alias || !sku) {
+        skipped++;
+        continue;
+      }
+
+      aliases[alias] = sku;
+    }
+
+    const count = Object.keys(aliases).length;
+
+    if (
+      count &&
+      !writeStoredJson(SKU_ALIASES_KEY, aliases)
+    ) {
+      throw new Error(
+        "The alias table is too large for browser storage."
+      );
+    }
+
+    STATE.skuAliases = null;
+
+    return { count, skipped };
+  }
+
+  /*
+   * "Colour: Black, Finish - Matte" -> the value after the
+   * attribute name, up to the next comma, semicolon or line.
+   */
+  function readDescriptionAttribute(
+    description,
+    attribute
+  ) {
+    const match = String(description || "").match(
+      new RegExp(
+        `(?:^|[\\n,;(])\\s*${escapeRegExp(
+          attribute
+        )}\\s*[:=-]\\s*([^,;\\n)]+)`,
+        "i"
+      )
+    );
+
+    return match ? normalizeText(match[1]) : "";
+  }
+
+  /*
+   * The parts of a line, besides SKU and unit, that must match
+   * for lines to be combined, as readable text ("" when
+   * variants aren't configured).
+   */
+  function getVariantLabel(row) {
+    const grouping = CONFIG.pickSlipGrouping;
+    const description = normalizeMultiline(
+      row.description
+    );
+
+    if (grouping.groupByDescription) {
+      return normalizeText(description);
+    }
+
+    const attributes = grouping.attributes
+      .map((attribute) =>
+        readDescriptionAttribute(
+          description,
+          attribute
+        )
+      )
+      .filter(Boolean);
+
+    const tokens = grouping.descriptionTokens.filter(
+      (token) =>
+        new RegExp(
+          `(^|\\W)${escapeRegExp(token)}(\\W|$)`,
+          "i"
+        ).test(description)
+    );
+
+    return [...attributes, ...tokens].join(" / ");
+  }
+
+  /*
+   * Same SKU with different names, and same name with
+   * different SKUs, among the lines the pick slip combines.
+   */
+  function findGroupingConflicts(rows) {
+    const namesBySku = new Map();
+    const skusByName = new Map();
+
+    for (const row of rows) {
+      const sku = getCanonicalSku(row.sku);
+      const name = normalizeText(row.productName);
+
+      if (!sku || !name) continue;
+
+      const skuKey = getSkuMatchKey(sku);
+      const nameKey = name.toLowerCase();
+
+      if (!namesBySku.has(skuKey)) {
+        namesBySku.set(skuKey, {
+          sku,
+          names: new Map(),
+        });
+      }
+
+      namesBySku
+        .get(skuKey)
+        .names.set(nameKey, name);
+
+      if (!skusByName.has(nameKey)) {
+        skusByName.set(nameKey, {
+          name,
+          skus: new Map(),
+        });
+      }
+
+      skusByName
+        .get(nameKey)
+        .skus.set(skuKey, sku);
+    }
+
+    const conflicts = [];
+
+    for (const { sku, names } of namesBySku.values()) {
+      if (names.size > 1) {
+        conflicts.push(
+          `SKU ${sku} has different names: ${Array.from(
+            names.values()
+          ).join(", ")}`
+        );
+      }
+    }
+
+    for (const { name, skus } of skusByName.values()) {
+      if (skus.size > 1) {
+        conflicts.push(
+          `${name} has different SKUs: ${Array.from(
+            skus.values()
+          ).join(", ")}`
+        );
+      }
+    }
+
+    return conflicts;
+  }
+
+  function buildGroupingWarnings(rows) {
+    const conflicts = findGroupingConflicts(rows);
+
+    if (!conflicts.length) return "";
+
+    warn("Pick slip grouping conflicts:", conflicts);
+
+    return `
+      <div class="grouping-warnings">
+        <strong>Check before picking</strong>
+        <ul>
+          ${conflicts
+            .map(
+              (conflict) =>
+                `<li>${escapeHtml(conflict)}</li>`
+            )
+            .join("")}
+        </ul>
+      </div>
+    `;
+  }
+
+  // =========================================================
+  // Kits and bills of materials
+  // =========================================================
+
+  const BILL_OF_MATERIALS_KEY = "billOfMaterials";
+
+  // Kits inside kits are expanded this many levels deep.
+  const MAX_KIT_DEPTH = 4;
+
+  const BILL_OF_MATERIALS_COLUMNS = {
+    kit: ["kit", "kitsku", "bundle", "bundlesku", "package"],
+    sku: ["component", "componentsku", "sku", "partsku"],
+    name: ["componentname", "name", "productname", "description"],
+    quantity: ["quantity", "qty", "componentquantity"],
+    unit: ["unit", "uom"],
+  };
+
+  /*
+   * Parsed once and kept until the next import or clear, like
+   * the alias table.
+   */
+  function loadBillOfMaterials() {
+    STATE.billOfMaterials ??= readStoredJson(
+      BILL_OF_MATERIALS_KEY,
+      {}
+    );
+
+    return STATE.billOfMaterials;
+  }
+
+  /*
+   * JSON can be { "KIT-1": [components] }, a list of
+   * { kit, components } or a list of flat kit/component rows
+   * like the CSV. Every shape ends up as flat records keyed
+   * the same way as CSV headers.
+   */
+  function readBillOfMaterialsJson(text) {
+    const normalizeRecord = (record) =>
+      Object.fromEntries(
+        Object.entries(record || {}).map(
+          ([key, value]) => [
+            normalizeCsvHeader(key),
+            normalizeText(value),
+          ]
+        )
+      );
+
+    const parsed = JSON.parse(text);
+
+    const kits = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).map(
+          ([kit, components]) => ({
+            kit,
+            components,
+          })
+        );
+
+    return kits.flatMap((entry) => {
+      if (!Array.isArray(entry?.components)) {
+        return [normalizeRecord(entry)];
+      }
+
+      return entry.components.map((component) => ({
+        ...normalizeRecord(component),
+        kit: normalizeText(entry.kit),
+      }));
+    });
+  }
+
+  /*
+   * Replaces the stored table. A blank quantity means one of
+   * the component per kit.
+   */
+  function importBillOfMaterials(text) {
+    const records = /^\s*[[{]/.test(text)
+      ? readBillOfMaterialsJson(text)
+      : parseCsvRecords(text);
+
+    const kits = {};
+    let skipped = 0;
+
+    for (const record of records) {
+      const entry = Object.fromEntries(
+        Object.entries(
+          BILL_OF_MATERIALS_COLUMNS
+        ).map(([part, names]) => [
+          part,
+          readCsvColumn(record, names),
+        ])
+      );
+
+      const kitKey = getSkuMatchKey(entry.kit);
+      const quantity = entry.quantity
+        ? tryParseNumber(entry.quantity)
+        : 1;
+
+      if (
+        !kitKey ||
+        !entry.sku ||
+        !(quantity > 0)
+      ) {
+        skipped++;
+        continue;
+      }
+
+      kits[kitKey] ??= {
+        sku: entry.kit,
+        components: [],
+      };
+
+      kits[kitKey].components.push({
+        sku: entry.sku,
+        name: entry.name,
+        quantity,
+        unit: entry.unit,
+      });
+    }
+
+    const count = Object.keys(kits).length;
+
+    if (
+      count &&
+      !writeStoredJson(BILL_OF_MATERIALS_KEY, kits)
+    ) {
+      throw new Error(
+        "The bill of materials is too large for browser storage."
+      );
+    }
+
+    STATE.billOfMaterials = null;
+
+    return { count, skipped };
+  }
+
+  /*
+   * The component lines a kit line is picked as, with
+   * quantities multiplied out, or null when the SKU isn't a
+   * kit. perKit is how many of the component one kit needs.
+   */
+  function getKitComponentRows(row, depth = 0) {
+    const kit =
+      loadBillOfMaterials()[getSkuMatchKey(row.sku)];
+
+    if (!kit || depth >= MAX_KIT_DEPTH) {
+      return null;
+    }
+
+    return kit.components.flatMap((component) => {
+      const componentRow = {
+        lineIndex: row.lineIndex,
+        productName: component.name,
+        sku: component.sku,
+        description: "",
+        quantity:
+          Number(row.quantity) * component.quantity,
+        unit: component.unit || "",
+        columns: {},
+        kitSku: kit.sku,
+        perKit: component.quantity,
+      };
+
+      const nested = getKitComponentRows(
+        componentRow,
+        depth + 1
+      );
+
+      return nested
+        ? nested.map((nestedRow) => ({
+            ...nestedRow,
+            kitSku: kit.sku,
+            perKit:
+              nestedRow.perKit * component.quantity,
+          }))
+        : [componentRow];
+    });
+  }
+
+  /*
+   * Invoice lines as the warehouse picks them: kit lines are
+   * replaced by their components, everything else is kept.
+   */
+  function explodeKits(rows) {
+    return rows.flatMap(
+      (row) => getKitComponentRows(row) || [row]
+    );
+  }
+
+  // =========================================================
+  // Product catalogue
+  // =========================================================
+
+  const PRODUCT_CATALOGUE_KEY = "productCatalogue";
+
+  /*
+   * CSV headers accepted for each catalogue field. Weight is
+   * per unit in kg and dimensions in cm; volume (m³) can be
+   * given instead of dimensions.
+   */
+  const PRODUCT_CATALOGUE_COLUMNS = {
+    sku: ["sku", "productcode", "itemcode", "code"],
+    weight: ["weightkg", "weight", "kg", "unitweight"],
+    length: ["lengthcm", "length", "depthcm", "depth"],
+    width: ["widthcm", "width"],
+    height: ["heightcm", "height"],
+    volume: ["volumem3", "volume", "cbm"],
+    unitsPerCarton: [
+      "unitspercarton",
+      "cartonqty",
+      "cartonquantity",
+      "percarton",
+      "packsize",
+    ],
+  };
+
+  function loadProductCatalogue() {
+    STATE.productCatalogue ??= readStoredJson(
+      PRODUCT_CATALOGUE_KEY,
+      {}
+    );
+
+    return STATE.productCatalogue;
+  }
+
+  function hasProductCatalogue() {
+    return (
+      Object.keys(loadProductCatalogue()).length > 0
+    );
+  }
+
+  function importProductCatalogueCsv(text) {
+    const products = {};
+    let skipped = 0;
+
+    for (const record of parseCsvRecords(text)) {
+      const entry = Object.fromEntries(
+        Object.entries(
+          PRODUCT_CATALOGUE_COLUMNS
+        ).map(([field, names]) => [
+          field,
+          readCsvColumn(record, names),
+        ])
+      );
+
+      const key = getSkuMatchKey(entry.sku);
+      const number = (field) =>
+        tryParseNumber(entry[field]);
+
+      const volumeM3 =
+        number("volume") ??
+        (number("length") &&
+        number("width") &&
+        number("height")
+          ? (number("length") *
+              number("width") *
+              number("height")) /
+            1000000
+          : null);
+
+      if (
+        !key ||
+        (number("weight") == null &&
+          volumeM3 == null)
+      ) {
+        skipped++;
+        continue;
+      }
+
+      products[key] = {
+        weightKg: number("weight"),
+        volumeM3,
+        unitsPerCarton:
+          number("unitsPerCarton") > 0
+            ? number("unitsPerCarton")
+            : null,
+      };
+    }
+
+    const count = Object.keys(products).length;
+
+    if (
+      count &&
+      !writeStoredJson(
+        PRODUCT_CATALOGUE_KEY,
+        products
+      )
+    ) {
+      throw new Error(
+        "The product catalogue is too large for browser storage."
+      );
+    }
+
+    STATE.productCatalogue = null;
+
+    return { count, skipped };
+  }
+
+  /*
+   * Weight, volume and cartons for a line's quantity, or null
+   * when the SKU isn't in the catalogue. A kit missing from the
+   * catalogue is measured as the sum of its components.
+   * unknown lists the measures ("weight", "volume", "cartons")
+   * the catalogue entry has no figure for; they count as 0.
+   */
+  function measureRow(row) {
+    const quantity = Math.abs(Number(row.quantity));
+
+    if (!Number.isFinite(quantity)) return null;
+
+    const entry =
+      loadProductCatalogue()[getSkuMatchKey(row.sku)];
+
+    if (entry) {
+      return {
+        weightKg: (entry.weightKg ?? 0) * quantity,
+        volumeM3: (entry.volumeM3 ?? 0) * quantity,
+        cartons: entry.unitsPerCarton
+          ? Math.ceil(
+              quantity / entry.unitsPerCarton
+            )
+          : 0,
+        unknown: [
+          entry.weightKg == null && "weight",
+          entry.volumeM3 == null && "volume",
+          !entry.unitsPerCarton && "cartons",
+        ].filter(Boolean),
+      };
+    }
+
+    const components = getKitComponentRows(row);
+
+    if (!components) return null;
+
+    const measures = components.map(measureRow);
+
+    if (measures.some((measure) => !measure)) {
+      return null;
+    }
+
+    return measures.reduce(
+      (total, measure) => ({
+        weightKg: total.weightKg + measure.weightKg,
+        volumeM3: total.volumeM3 + measure.volumeM3,
+        cartons: total.cartons + measure.cartons,
+        unknown: Array.from(
+          new Set([
+            ...total.unknown,
+            ...measure.unknown,
+          ])
+        ),
+      }),
+      {
+        weightKg: 0,
+        volumeM3: 0,
+        cartons: 0,
+        unknown: [],
+      }
+    );
+  }
+
+  function formatMeasure(value, unit, decimals) {
+    return `${new Intl.NumberFormat(undefined, {
+      maximumFractionDigits: decimals,
+    }).format(value)} ${unit}`;
+  }
+
+  function formatRowWeight(row) {
+    const measure = measureRow(row);
+
+    return measure &&
+      !measure.unknown.includes("weight")
+      ? formatMeasure(measure.weightKg, "kg", 1)
+      : "?";
+  }
+
+  /*
+   * Totals for the whole order. Measured per combined product
+   * so cartons are rounded up once per SKU, the same on both
+   * documents and the carton labels. missing holds the SKUs
+   * not in the catalogue at all, unknown the SKUs per measure
+   * their entry has no figure for.
+   */
+  function measureLoad(rows) {
+    const totals = {
+      weightKg: 0,
+      volumeM3: 0,
+      cartons: 0,
+      pallets: 0,
+      missing: new Set(),
+      unknown: {
+        weight: new Set(),
+        volume: new Set(),
+        cartons: new Set(),
+      },
+    };
+
+    for (const row of groupPickSlipRows(
+      explodeKits(withoutCollections(rows))
+    )) {
+      const measure = measureRow(row);
+
+      const label =
+        normalizeText(row.sku) ||
+        normalizeText(row.productName);
+
+      if (!measure) {
+        totals.missing.add(label);
+        continue;
+      }
+
+      for (const kind of measure.unknown) {
+        totals.unknown[kind].add(label);
+      }
+
+      totals.weightKg += measure.weightKg;
+      totals.volumeM3 += measure.volumeM3;
+      totals.cartons += measure.cartons;
+    }
+
+    totals.pallets = Math.max(
+      Math.ceil(
+        totals.volumeM3 / CONFIG.palletVolumeM3
+      ),
+      Math.ceil(
+        totals.weightKg / CONFIG.palletMaxWeightKg
+      )
+    );
+
+    return totals;
+  }
+
+  const UNKNOWN_MEASURE_NOTES = {
+    weight: "Weight unknown, so not counted",
+    volume: "Volume unknown, so not counted",
+    cartons: "Cartons unknown, no units per carton",
+  };
+
+  /*
+   * Totals for the goods going out (returns excluded, kits as
+   * components) with a pallet estimate, and the SKUs that
+   * couldn't be measured. "" until a catalogue is imported.
+   */
+  function buildLoadSummary(rows) {
+    if (!hasProductCatalogue()) return "";
+
+    const totals = measureLoad(rows);
+
+    return `
+      <div class="load-summary">
+        <span><strong>Total weight:</strong> ${escapeHtml(
+          formatMeasure(totals.weightKg, "kg", 1)
+        )}</span>
+        <span><strong>Total volume:</strong> ${escapeHtml(
+          formatMeasure(totals.volumeM3, "m³", 3)
+        )}</span>
+        <span><strong>Cartons:</strong> ${totals.cartons}</span>
+        <span><strong>Pallets:</strong> ${totals.pallets}</span>
+      </div>
+      ${
+        totals.missing.size
+          ? `<div class="source-notes">? Not in the product catalogue, so not counted: ${escapeHtml(
+              Array.from(totals.missing).join(", ")
+            )}</div>`
+          : ""
+      }
+      ${Object.entries(UNKNOWN_MEASURE_NOTES)
+        .filter(([kind]) => totals.unknown[kind].size)
+        .map(
+          ([kind, note]) =>
+            `<div class="source-notes">? ${note}: ${escapeHtml(
+              Array.from(totals.unknown[kind]).join(", ")
+            )}</div>`
+        )
+        .join("")}
+    `;
+  }
+
+  // =========================================================
+  // Bin locations
+  // =========================================================
+
+  const BIN_LOCATIONS_KEY = "binLocations";
+
+  /*
+   * CSV headers accepted for each part of a bin location.
+   * sequence is optional and overrides the aisle/bay/bin order
+   * when the warehouse walk doesn't follow the numbering.
+   */
+  const BIN_LOCATION_COLUMNS = {
+    sku: ["sku", "productcode", "itemcode", "code"],
+    aisle: ["aisle", "row"],
+    bay: ["bay", "rack", "section"],
+    bin: ["bin", "shelf", "binlocation"],
+    sequence: [
+      "sequence",
+      "walkorder",
+      "pickorder",
+      "pickpath",
+    ],
+  };
+
+  function normalizeBinSku(sku) {
+    return getSkuMatchKey(sku);
+  }
+
+  function loadBinLocations() {
+    return readStoredJson(
+      BIN_LOCATIONS_KEY,
+      {}
+    );
+  }
+
+  function hasBinLocations() {
+    return (
+      Object.keys(loadBinLocations()).length > 0
+    );
+  }
+
+  /*
+   * Replaces the stored table. Rows without a SKU or without
+   * any location part are skipped and counted.
+   */
+  function importBinLocationsCsv(text) {
+    const locations = {};
+    let skipped = 0;
+
+    for (const record of parseCsvRecords(text)) {
+      const entry = Object.fromEntries(
+        Object.entries(BIN_LOCATION_COLUMNS).map(
+          ([part, names]) => [
+            part,
+            readCsvColumn(record, names),
+          ]
+        )
+      );
+
+      const sku = normalizeBinSku(entry.sku);
+
+      if (
+        !sku ||
+        !(entry.aisle || entry.bay || entry.bin)
+      ) {
+        skipped++;
+        continue;
+      }
+
+      locations[sku] = {
+        aisle: entry.aisle,
+        bay: entry.bay,
+        bin: entry.bin,
+        sequence: tryParseNumber(entry.sequence),
+      };
+    }
+
+    const count = Object.keys(locations).length;
+
+    if (
+      count &&
+      !writeStoredJson(
+        BIN_LOCATIONS_KEY,
+        locations
+      )
+    ) {
+      throw new Error(
+        "The bin table is too large for browser storage."
+      );
+    }
+
+    return { count, skipped };
+  }
+
+  function getBinLocation(
+    sku,
+    locations = loadBinLocations()
+  ) {
+    const key = normalizeBinSku(sku);
+
+    return key ? locations[key] || null : null;
+  }
+
+  function formatBinLocation(location) {
+    if (!location) return "";
+
+    return [
+      location.aisle,
+      location.bay,
+      location.bin,
+    ]
+      .filter(Boolean)
+      .join("-");
+  }
+
+  const naturalCollator = new Intl.Collator(
+    undefined,
+    {
+      numeric: true,
+      sensitivity: "base",
+    }
+  );
+
+  /*
+   * Explicit sequence numbers come first, then aisle, bay and
+   * bin compared naturally so "A2" sorts before "A10".
+   */
+  function compareBinLocations(a, b) {
+    const aSequence = a.sequence ?? Infinity;
+    const bSequence = b.sequence ?? Infinity;
+
+    if (aSequence !== bSequence) {
+      return aSequence < bSequence ? -1 : 1;
+    }
+
+    for (const part of ["aisle", "bay", "bin"]) {
+      const order = naturalCollator.compare(
+        a[part] || "",
+        b[part] || ""
+      );
+
+      if (order) return order;
+    }
+
+    return 0;
+  }
+
+  /*
+   * Pick slip lines in warehouse walking order. Lines without a
+   * bin keep their invoice order after the binned ones.
+   */
+  function sortByWalkingOrder(products) {
+    const locations = loadBinLocations();
+
+    const located = products.map(
+      (product, index) => ({
+        product,
+        index,
+        location: getBinLocation(
+          product.sku,
+          locations
+        ),
+      })
+    );
+
+    return located
+      .sort((a, b) => {
+        if (!a.location || !b.location) {
+          return (
+            Number(!a.location) -
+              Number(!b.location) ||
+            a.index - b.index
+          );
+        }
+
+        return (
+          compareBinLocations(
+            a.location,
+            b.location
+          ) || a.index - b.index
+        );
+      })
+      .map(({ product, location }) => ({
+        ...product,
+        binLocation: location,
+      }));
+  }
+
+  // =========================================================
+  // Barcodes
+  // =========================================================
+
+  /*
+   * Code 128 bar/space widths for symbol values 0-106, drawn
+   * locally so printing never depends on a barcode service.
+   * 103-105 are the A/B/C start codes and 106 is stop.
+   */
+  const CODE128_PATTERNS = [
+    "212222", "222122", "222221", "121223", "121322",
+    "131222", "122213", "122312", "132212", "221213",
+    "221312", "231212", "112232", "122132", "122231",
+    "113222", "123122", "123221", "223211", "221132",
+    "221231", "213212", "223112", "312131", "311222",
+    "321122", "321221", "312212", "322112", "322211",
+    "212123", "212321", "232121", "111323", "131123",
+    "131321", "112313", "132113", "132311", "211313",
+    "231113", "231311", "112133", "112331", "132131",
+    "113123", "113321", "133121", "313121", "211331",
+    "231131", "213113", "213311", "213131", "311123",
+    "311321", "331121", "312113", "312311", "332111",
+    "314111", "221411", "431111", "111224", "111422",
+    "121124", "121421", "141122", "141221", "112214",
+    "112412", "122114", "122411", "142112", "142211",
+    "241211", "221114", "413111", "241112", "134111",
+    "111242", "121142", "121241", "114212", "124112",
+    "124211", "411212", "421112", "421211", "212141",
+    "214121", "412121", "111143", "111341", "131141",
+    "114113", "114311", "411113", "411311", "113141",
+    "114131", "311141", "411131", "211412", "211214",
+    "211232", "2331112",
+  ];
+
+  const CODE128_START_B = 104;
+  const CODE128_START_C = 105;
+  const CODE128_CODE_B = 100;
+  const CODE128_CODE_C = 99;
+  const CODE128_STOP = 106;
+
+  /*
+   * Symbol values for text, or null when it has characters
+   * Code 128 B can't carry. Runs of four or more digits are
+   * packed in pairs (code set C) to keep SKUs and invoice
+   * numbers short enough to scan.
+   */
+  function encodeCode128(text) {
+    const value = String(text ?? "");
+
+    if (
+      !value ||
+      /[^\x20-\x7e]/.test(value)
+    ) {
+      return null;
+    }
+
+    const symbols = [];
+    let codeSet = null;
+    let i = 0;
+
+    while (i < value.length) {
+      const digitRun =
+        value.slice(i).match(/^\d+/)?.[0] || "";
+
+      const useC =
+        digitRun.length >= 4 ||
+        (codeSet === "C" && digitRun.length >= 2);
+
+      if (useC) {
+        if (codeSet !== "C") {
+          symbols.push(
+            codeSet
+              ? CODE128_CODE_C
+              : CODE128_START_C
+          );
+          codeSet = "C";
+        }
+
+        const pairs =
+          digitRun.length - (digitRun.length % 2);
+
+        for (let j = 0; j < pairs; j += 2) {
+          symbols.push(
+            Number(digitRun.slice(j, j + 2))
+          );
+        }
+
+        i += pairs;
+        continue;
+      }
+
+      if (codeSet !== "B") {
+        symbols.push(
+          codeSet
+            ? CODE128_CODE_B
+            : CODE128_START_B
+        );
+        codeSet = "B";
+      }
+
+      symbols.push(value.charCodeAt(i) - 32);
+      i++;
+    }
+
+    const checksum =
+      symbols.reduce(
+        (sum, symbol, index) =>
+          sum + symbol * Math.max(index, 1),
+        0
+      ) % 103;
+
+    return [...symbols, checksum, CODE128_STOP];
+  }
+
+  /*
+   * Inline SVG of the barcode, stretched to the given width
+   * with a ten-module quiet zone each side. Returns "" when the
+   * text can't be encoded.
+   */
+  function renderBarcodeSvg(
+    text,
+    { width = "100%", height = 28 } = {}
+  ) {
+    const symbols = encodeCode128(text);
+
+    if (!symbols) return "";
+
+    const quietZone = 10;
+    let x = quietZone;
+    let bars = "";
+
+    for (const symbol of symbols) {
+      const widths =
+        CODE128_PATTERNS[symbol].split("");
+
+      widths.forEach((moduleCount, index) => {
+        const modules = Number(moduleCount);
+
+        if (index % 2 === 0) {
+          bars += `<rect x="${x}" y="0" width="${modules}" height="${height}"/>`;
+        }
+
+        x += modules;
+      });
+    }
+
+    const totalWidth = x + quietZone;
+
+    return `<svg class="barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" width="${escapeHtml(
+      width
+    )}" height="${height}" preserveAspectRatio="none" shape-rendering="crispEdges" role="img" aria-label="${escapeHtml(
+      String(text)
+    )}">${bars}</svg>`;
+  }
+
+  // =========================================================
+  // Product-table generation
+  // =========================================================
+
+  function isCategoryDescription(
+    description
+  ) {
+    return /^\*+\s*.+?\s*\*+$/.test(
+      normalizeText(description)
+    );
+  }
+
+  function formatQuantity(quantity, unit = "") {
+    const number = Number(quantity);
+
+    if (
+      !Number.isFinite(number) ||
+      number === 0
+    ) {
+      return "";
+    }
+
+    const formatted = new Intl.NumberFormat(
+      CONFIG.numberLocale === "auto"
+        ? undefined
+        : CONFIG.numberLocale,
+      {
+        minimumFractionDigits:
+          CONFIG.quantityDecimals.minimum,
+        maximumFractionDigits:
+          CONFIG.quantityDecimals.maximum,
+        useGrouping: false,
+      }
+    ).format(number);
+
+    return unit
+      ? `${formatted} ${unit}`
+      : formatted;
+  }
+
+  /*
+   * Amounts are summed when the pick slip combines lines; every
+   * other extra column keeps the first line's value.
+   */
+  const SUMMED_LINE_COLUMNS = ["amount"];
+
+  function getDocumentKind(combineQuantities) {
+    return combineQuantities
+      ? "pickSlip"
+      : "deliveryNote";
+  }
+
+  /*
+   * Columns that only print once the reference table they
+   * read from has been imported.
+   */
+  const LINE_COLUMN_REQUIREMENTS = {
+    binLocation: hasBinLocations,
+    weight: hasProductCatalogue,
+  };
+
+  function getLineColumns(documentKind) {
+    return (
+      CONFIG.lineColumns[documentKind] || []
+    ).filter(
+      (column) =>
+        !LINE_COLUMN_REQUIREMENTS[column.key] ||
+        LINE_COLUMN_REQUIREMENTS[column.key]()
+    );
+  }
+
+  /*
+   * The unit is printed after the quantity unless the document
+   * has its own unit column.
+   */
+  function getLineColumnValue(
+    row,
+    key,
+    columns = []
+  ) {
+    const quantityUnit = columns.some(
+      (column) => column.key === "unit"
+    )
+      ? ""
+      : row.unit;
+
+    switch (key) {
+      case "product":
+        return row.variant
+          ? `${row.productName} (${row.variant})`
+          : row.productName;
+      case "sku":
+      case "barcode":
+        return row.sku;
+      case "description":
+        return row.description;
+      case "quantity":
+      case "ordered":
+        return formatQuantity(
+          row.quantity,
+          quantityUnit
+        );
+      case "thisDelivery":
+      case "previouslyDelivered":
+      case "outstanding":
+        // Nothing delivered or owing still prints as 0.
+        return row.delivery
+          ? formatQuantity(
+              row.delivery[key],
+              quantityUnit
+            ) || "0"
+          : "";
+      case "unit":
+        return row.unit || "";
+      case "weight":
+        return formatRowWeight(row);
+      case "binLocation":
+        return formatBinLocation(
+          row.binLocation ??
+            getBinLocation(row.sku)
+        );
+      default:
+        return row.columns?.[key] ?? "";
+    }
+  }
+
+  function renderLineCell(column, value) {
+    const classes = [
+      `align-${column.align || "left"}`,
+      column.key === "quantity"
+        ? "quantity-cell"
+        : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    return `<td class="${classes}">${
+      column.key === "barcode"
+        ? renderBarcodeSvg(value)
+        : escapeHtml(value)
+    }</td>`;
+  }
+
+  /*
+   * Lines in different units (boxes vs singles) are picked
+   * separately, so the unit is part of the key, as are any
+   * variant attributes from CONFIG.pickSlipGrouping.
+   */
+  function getPickSlipGroupKey(row) {
+    const skuKey = getSkuMatchKey(row.sku);
+
+    return `${
+      skuKey
+        ? `SKU:${skuKey}`
+        : `NAME:${normalizeText(
+            row.productName
+          ).toLowerCase()}`
+    }|${normalizeText(
+      row.unit
+    ).toLowerCase()}|${getVariantLabel(
+      row
+    ).toLowerCase()}`;
+  }
+
+  function groupPickSlipRows(rows) {
+    const groupedProducts = new Map();
+
+    for (const row of rows) {
+      const categoryRow =
+        !row.productName &&
+        !row.sku &&
+        isCategoryDescription(
+          row.description
+        );
+
+      if (categoryRow) {
+        continue;
+      }
+
+      if (
+        !row.productName &&
+        !row.sku
+      ) {
+        continue;
+      }
+
+      const quantity =
+        Number(row.quantity);
+
+      if (!Number.isFinite(quantity)) {
+        continue;
+      }
+
+      const key = getPickSlipGroupKey(row);
+
+      if (
+        !groupedProducts.has(key)
+      ) {
+        groupedProducts.set(key, {
+          productName: normalizeText(
+            row.productName
+          ),
+          sku: getCanonicalSku(row.sku),
+          variant: getVariantLabel(row),
+          description: row.description,
+          quantity,
+          unit: normalizeText(row.unit),
+          columns: { ...row.columns },
+        });
+
+        continue;
+      }
+
+      const product =
+        groupedProducts.get(key);
+
+      product.quantity += quantity;
+
+      // Kit components imported without a name borrow one.
+      product.productName ||= normalizeText(
+        row.productName
+      );
+
+      for (const column of SUMMED_LINE_COLUMNS) {
+        const total =
+          (tryParseNumber(
+            product.columns[column]
+          ) ?? 0) +
+          (tryParseNumber(
+            row.columns?.[column]
+          ) ?? 0);
+
+        product.columns[column] =
+          total.toFixed(2);
+      }
+    }
+
+    return Array.from(
+      groupedProducts.values()
+    );
+  }
+
+  function renderProductRow(
+    product,
+    columns,
+    className = ""
+  ) {
+    return `
+      <tr${className ? ` class="${className}"` : ""}>
+        ${columns
+          .map((column) =>
+            renderLineCell(
+              column,
+              getLineColumnValue(
+                product,
+                column.key,
+                columns
+              )
+            )
+          )
+          .join("")}
+      </tr>
+    `;
+  }
+
+  function renderHeadingRow(
+    text,
+    columns,
+    className = "category-row"
+  ) {
+    return `
+      <tr class="${className}">
+        <td colspan="${columns.length}">${escapeHtml(
+          text
+        )}</td>
+      </tr>
+    `;
+  }
+
+  /*
+   * Grouped pick slip lines sorted by bin when a bin table is
+   * imported, with unbinned lines under their own heading at
+   * the end.
+   */
+  function buildPickSlipRows(rows, columns) {
+    const showBins = columns.some(
+      (column) => column.key === "binLocation"
+    );
+
+    let tableRows = "";
+    let unbinnedHeadingAdded = false;
+
+    for (const product of sortByWalkingOrder(
+      groupPickSlipRows(rows)
+    )) {
+      if (
+        showBins &&
+        !product.binLocation &&
+        !unbinnedHeadingAdded
+      ) {
+        unbinnedHeadingAdded = true;
+
+        tableRows += renderHeadingRow(
+          "No bin location",
+          columns
+        );
+      }
+
+      tableRows += renderProductRow(
+        product,
+        columns
+      );
+    }
+
+    return tableRows;
+  }
+
+  function getSectionTitle(description) {
+    return normalizeText(description)
+      .replace(/^\*+\s*|\s*\*+$/g, "")
+      .trim();
+  }
+
+  /*
+   * Splits invoice lines at each ** Section ** heading. Lines
+   * before the first heading form an untitled section.
+   */
+  function splitIntoSections(rows) {
+    const sections = [{ title: "", rows: [] }];
+
+    for (const row of rows) {
+      const categoryRow =
+        !normalizeText(row.productName) &&
+        !normalizeText(row.sku) &&
+        isCategoryDescription(row.description);
+
+      if (categoryRow) {
+        sections.push({
+          title: getSectionTitle(
+            row.description
+          ),
+          rows: [],
+        });
+
+        continue;
+      }
+
+      sections[sections.length - 1].rows.push(
+        row
+      );
+    }
+
+    return sections.filter(
+      (section) => section.rows.length
+    );
+  }
+
+  /*
+   * Unit totals for a section, one per unit: "12, 3 box".
+   */
+  function formatUnitSubtotal(products) {
+    const totals = new Map();
+
+    for (const product of products) {
+      const unit = product.unit || "";
+
+      totals.set(
+        unit,
+        (totals.get(unit) || 0) +
+          product.quantity
+      );
+    }
+
+    return Array.from(totals.entries())
+      .map(([unit, total]) =>
+        formatQuantity(total, unit)
+      )
+      .join(", ");
+  }
+
+  /*
+   * A label in the first column and a quantity in the quantity
+   * column (or the last one when there is none).
+   */
+  function renderLabelledQuantityRow(
+    label,
+    quantityText,
+    columns,
+    className
+  ) {
+    const quantityIndex = columns.findIndex(
+      (column) => column.key === "quantity"
+    );
+
+    const totalIndex =
+      quantityIndex === -1
+        ? columns.length - 1
+        : quantityIndex;
+
+    const cells = columns.map(
+      (column, index) => {
+        if (index === totalIndex) {
+          return renderLineCell(
+            { ...column, key: "quantity" },
+            quantityText
+          );
+        }
+
+        return renderLineCell(
+          { ...column, key: "" },
+          index === 0 ? label : ""
+        );
+      }
+    );
+
+    return `
+      <tr class="${className}">
+        ${cells.join("")}
+      </tr>
+    `;
+  }
+
+  function renderSubtotalRow(
+    title,
+    products,
+    columns
+  ) {
+    return renderLabelledQuantityRow(
+      `${title || "Other items"} total`,
+      formatUnitSubtotal(products),
+      columns,
+      "subtotal-row"
+    );
+  }
+
+  /*
+   * Pick slip by room: SKUs are combined within each section
+   * only, each section closes with its unit totals, and an
+   * "all sections combined" page follows when
+   * CONFIG.pickSlipSummaryPage is on.
+   */
+  function buildSectionedPickSlip(
+    sections,
+    rows,
+    columns
+  ) {
+    let tableRows = "";
+
+    for (const section of sections) {
+      const products = groupPickSlipRows(
+        section.rows
+      );
+
+      if (!products.length) continue;
+
+      tableRows += renderHeadingRow(
+        section.title || "Other items",
+        columns,
+        "section-row"
+      );
+
+      tableRows += buildPickSlipRows(
+        section.rows,
+        columns
+      );
+
+      tableRows += renderSubtotalRow(
+        section.title,
+        products,
+        columns
+      );
+    }
+
+    const sectionedTable = wrapProductTable(
+      columns,
+      tableRows
+    );
+
+    if (!CONFIG.pickSlipSummaryPage) {
+      return sectionedTable;
+    }
+
+    return `
+      ${sectionedTable}
+      <div class="summary-page">
+        <h3 class="summary-title">All sections combined</h3>
+        ${wrapProductTable(
+          columns,
+          buildPickSlipRows(rows, columns)
+        )}
+      </div>
+    `;
+  }
+
+  function buildDeliveryNoteRows(rows, columns) {
+    let tableRows = "";
+
+    /*
+     * Print:
+     * - Product/service for normal products
+     * - Description only for category headers such as ** Kitchen **
+     */
+    for (const row of rows) {
+      let displayName =
+        normalizeText(row.productName);
+
+      const categoryRow =
+        !displayName &&
+        !normalizeText(row.sku) &&
+        isCategoryDescription(
+          row.description
+        );
+
+      if (categoryRow) {
+        displayName =
+          normalizeText(
+            row.description
+          );
+      }
+
+      if (
+        !displayName &&
+        !normalizeText(row.sku)
+      ) {
+        continue;
+      }
+
+      /*
+       * A category header only fills the first column; the
+       * rest of its cells stay empty.
+       */
+      const cells = columns.map(
+        (column, index) => {
+          if (categoryRow) {
+            return renderLineCell(
+              column,
+              index === 0
+                ? displayName
+                : ""
+            );
+          }
+
+          return renderLineCell(
+            column,
+            column.key === "product"
+              ? displayName
+              : getLineColumnValue(
+                  row,
+                  column.key,
+                  columns
+                )
+          );
+        }
+      );
+
+      tableRows += `
+        <tr class="${
+          categoryRow
+            ? "category-row"
+            : ""
+        }">
+          ${cells.join("")}
+        </tr>
+      `;
+    }
+
+    return tableRows;
+  }
+
+  function wrapProductTable(columns, tableRows) {
+    if (!tableRows) {
+      return (
+        "<p>No valid invoice products were found.</p>"
+      );
+    }
+
+    const colgroup = columns
+      .map(
+        (column) =>
+          `<col style="width: ${escapeHtml(
+            column.width || "auto"
+          )};">`
+      )
+      .join("");
+
+    const headings = columns
+      .map(
+        (column) =>
+          `<th class="align-${
+            column.align || "left"
+          }${
+            column.key === "quantity"
+              ? " quantity-heading"
+              : ""
+          }">${escapeHtml(column.label)}</th>`
+      )
+      .join("");
+
+    return `
+      <table class="product-table">
+        <colgroup>${colgroup}</colgroup>
+        <thead>
+          <tr>
+            ${headings}
+          </tr>
+        </thead>
+        <tbody>
+          ${tableRows}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /*
+   * Negative lines are returns or credits to pick up from the
+   * customer, not deliveries.
+   */
+  function isCollectionRow(row) {
+    return (
+      Boolean(
+        normalizeText(row.productName) ||
+          normalizeText(row.sku)
+      ) && Number(row.quantity) < 0
+    );
+  }
+
+  function withoutCollections(rows) {
+    return rows.filter(
+      (row) => !isCollectionRow(row)
+    );
+  }
+
+  /*
+   * "Items to Collect From Customer" with positive quantities
+   * and its own signature line, or "" when nothing is being
+   * returned. Kits are collected whole, so they aren't
+   * exploded here.
+   */
+  function buildCollectionSection(
+    rows,
+    documentKind
+  ) {
+    const collectRows = rows
+      .filter(isCollectionRow)
+      .map((row) => ({
+        ...row,
+        quantity: -Number(row.quantity),
+      }));
+
+    if (!collectRows.length) return "";
+
+    const columns = getLineColumns(documentKind);
+
+    const tableRows =
+      documentKind === "pickSlip"
+        ? groupPickSlipRows(collectRows)
+            .map((product) =>
+              renderProductRow(product, columns)
+            )
+            .join("")
+        : buildDeliveryNoteRows(
+            collectRows,
+            columns
+          );
+
+    return `
+      <div class="collect-section">
+        <h3 class="collect-title">Items to Collect From Customer</h3>
+        ${wrapProductTable(columns, tableRows)}
+        <div class="signoff collect-signoff">
+          <span>
+            Collected By: _______________
+          </span>
+
+          <span>
+            Customer Signature: _______________
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  function buildProductTable(
+    rows,
+    combineQuantities
+  ) {
+    const columns = getLineColumns(
+      getDocumentKind(combineQuantities)
+    );
+
+    if (combineQuantities) {
+      /*
+       * Pick Slip:
+       * - exclude category/description-only rows
+       * - combine identical SKUs
+       * - Product Name comes from Product/service
+       * - sorted by bin when a bin table is imported, with
+       *   unbinned lines under their own heading at the end
+       * - kept in their ** Section ** groups when
+       *   CONFIG.pickSlipBySection is on
+       * - kits replaced by their components from the bill of
+       *   materials
+       * - returns listed separately, outside the pick totals
+       */
+      const pickRows = explodeKits(
+        withoutCollections(rows)
+      );
+
+      const sections = CONFIG.pickSlipBySection
+        ? splitIntoSections(pickRows)
+        : [];
+
+      const pickTable = sections.some(
+        (section) => section.title
+      )
+        ? buildSectionedPickSlip(
+            sections,
+            pickRows,
+            columns
+          )
+        : wrapProductTable(
+            columns,
+            buildPickSlipRows(pickRows, columns)
+          );
+
+      return (
+        buildGroupingWarnings(pickRows) +
+        pickTable +
+        buildLoadSummary(pickRows) +
+        buildCollectionSection(rows, "pickSlip")
+      );
+    }
+
+    return (
+      wrapProductTable(
+        columns,
+        buildDeliveryNoteRows(
+          withoutCollections(rows),
+          columns
+        )
+      ) +
+      buildLoadSummary(rows) +
+      buildCollectionSection(rows, "deliveryNote")
+    );
+  }
+
+  // =========================================================
+  // Branding profiles
+  // =========================================================
+
+  /*
+   * Company details printed in the document header. Each
+   * profile lists the QBO company IDs (realm IDs) or company
+   * names it is for; CONFIG.defaultBranding prints when no
+   * profile matches the company signed in.
+   */
+  const BRANDING_PROFILES_KEY = "brandingProfiles";
+
+  // Logos are kept in localStorage, which is only a few MB.
+  const MAX_LOGO_BYTES = 300 * 1024;
+
+  /*
+   * The last company detected, kept per tab so a reload on a
+   * screen without the ID in its address still knows it.
+   */
+  const COMPANY_SESSION_KEY = "company";
+
+  const COMPANY_ID_PATTERNS = [
+    /\/company\/(\d{6,})(?:[/?]|$)/i,
+    /[?&](?:companyId|realmId)=(\d{6,})/i,
+  ];
+
+  function readCompanyIdFromUrl(url) {
+    for (const pattern of COMPANY_ID_PATTERNS) {
+      const match = String(url ?? "").match(
+        pattern
+      );
+
+      if (match) return match[1];
+    }
+
+    return null;
+  }
+
+  function readSessionCompany() {
+    try {
+      return (
+        JSON.parse(
+          sessionStorage.getItem(
+            STORAGE_PREFIX + COMPANY_SESSION_KEY
+          )
+        ) || {}
+      );
+    } catch (error) {
+      warn("Could not read the tab's company", error);
+      return {};
+    }
+  }
+
+  function storeSessionCompany() {
+    try {
+      sessionStorage.setItem(
+        STORAGE_PREFIX + COMPANY_SESSION_KEY,
+        JSON.stringify({
+          id: STATE.companyId,
+          name: STATE.companyName,
+        })
+      );
+    } catch (error) {
+      warn("Could not store the tab's company", error);
+    }
+  }
+
+  /*
+   * The company ID shows up in the page address on some QBO
+   * screens and in the address of most API calls, which
+   * payload capture passes here.
+   */
+  function rememberCompanyFromUrl(url) {
+    const companyId = readCompanyIdFromUrl(url);
+
+    if (!companyId || companyId === STATE.companyId) {
+      return;
+    }
+
+    const previous = getCurrentCompany();
+
+    STATE.companyId = companyId;
+
+    // Switching company in this tab leaves the old name behind.
+    STATE.companyName =
+      previous.id === companyId
+        ? previous.name
+        : null;
+
+    storeSessionCompany();
+    log("Signed in to company", companyId);
+  }
+
+  function rememberCompanyInfo(companyInfo) {
+    const name = normalizeText(
+      readPayloadValue(
+        companyInfo,
+        "CompanyName",
+        "LegalName"
+      ) || ""
+    );
+
+    if (!name) return;
+
+    STATE.companyId ??= getCurrentCompany().id;
+    STATE.companyName = name;
+    storeSessionCompany();
+  }
+
+  function getCurrentCompany() {
+    const known =
+      STATE.companyId || STATE.companyName
+        ? {
+            id: STATE.companyId,
+            name: STATE.companyName,
+          }
+        : readSessionCompany();
+
+    const urlId = readCompanyIdFromUrl(
+      location.href
+    );
+
+    if (urlId && urlId !== known.id) {
+      return { id: urlId, name: null };
+    }
+
+    return {
+      id: known.id || null,
+      name: known.name || null,
+    };
+  }
+
+  function loadBrandingProfiles() {
+    const profiles = readStoredJson(
+      BRANDING_PROFILES_KEY,
+      []
+    );
+
+    return Array.isArray(profiles) ? profiles : [];
+  }
+
+  function saveBrandingProfiles(profiles) {
+    if (
+      !writeStoredJson(
+        BRANDING_PROFILES_KEY,
+        profiles
+      )
+    ) {
+      throw new Error(
+        "The profiles are too large for browser storage. Try a smaller logo."
+      );
+    }
+  }
+
+  function brandingProfileMatches(
+    profile,
+    company
+  ) {
+    return (profile.companies || []).some(
+      (entry) => {
+        const value = normalizeText(entry);
+
+        return (
+          value &&
+          (value === company.id ||
+            value.toLowerCase() ===
+              company.name?.toLowerCase())
+        );
+      }
+    );
+  }
+
+  function getActiveBranding() {
+    const company = getCurrentCompany();
+
+    return (
+      loadBrandingProfiles().find((profile) =>
+        brandingProfileMatches(profile, company)
+      ) || CONFIG.defaultBranding
+    );
+  }
+
+  /*
+   * Once profiles are set up, the default details printing is
+   * most likely a company that wasn't detected or has no
+   * profile, so it is confirmed once per company in this tab
+   * before anything prints. Returns false when declined.
+   */
+  function confirmDefaultBranding() {
+    const profiles = loadBrandingProfiles();
+    const company = getCurrentCompany();
+
+    if (
+      !profiles.length ||
+      profiles.some((profile) =>
+        brandingProfileMatches(profile, company)
+      )
+    ) {
+      return true;
+    }
+
+    const companyKey =
+      company.id || company.name || "";
+
+    if (
+      STATE.defaultBrandingAcceptedFor ===
+      companyKey
+    ) {
+      return true;
+    }
+
+    const reason =
+      company.id || company.name
+        ? `No branding profile is set up for ${
+            company.name || company.id
+          }`
+        : "The QuickBooks company has not been detected yet";
+
+    const accepted = confirm(
+      `${reason}, so documents will show ${CONFIG.defaultBranding.name}. Print anyway?`
+    );
+
+    if (accepted) {
+      STATE.defaultBrandingAcceptedFor = companyKey;
+    }
+
+    return accepted;
+  }
+
+  /*
+   * The branding fields templates see as company.*.
+   */
+  function buildCompanyContext(branding) {
+    return {
+      name: branding.name || "",
+      addressLines: (
+        branding.addressLines || []
+      ).filter(Boolean),
+      phone: branding.phone || "",
+      email: branding.email || "",
+      abn: branding.abn || "",
+      logo: branding.logo || "",
+      accentColour:
+        branding.accentColour || "#000000",
+    };
+  }
+
+  function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.addEventListener("load", () =>
+        resolve(reader.result)
+      );
+      reader.addEventListener("error", () =>
+        reject(reader.error)
+      );
+
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // =========================================================
+  // Print templates
+  // =========================================================
+
+  /*
+   * Page templates, one per document kind, stored in browser
+   * storage and edited from Tools. Placeholders:
+   *
+   *   {{invoiceNumber}}           escaped value
+   *   {{customFields.JOB NAME}}   custom field by label
+   *   {{{productTable}}}          HTML, not escaped
+   *   {{#if shipVia}}...{{else}}...{{/if}}, {{#unless ...}}
+   *   {{#each rows}}{{sku}} x {{quantity}}{{/each}}
+   *
+   * Inside #each, fields resolve against the item first, then
+   * the outer context; {{this}}, {{@index}} and {{@number}}
+   * are the item and its 0- and 1-based position.
+   */
+  const TEMPLATES_KEY = "templates";
+
+  const TEMPLATE_DOCUMENT_KINDS = {
+    deliveryNote: "Delivery note",
+    pickSlip: "Pick slip",
+    partialDelivery: "Partial delivery note",
+  };
+
+  const DEFAULT_PAGE_TEMPLATE = `
+  <div class="maincontainer" style="--accent: {{company.accentColour}};">
+    <template class="page-header">
+      <strong>{{document.title}}</strong>
+      <span>{{document.numberLabel}}: {{invoiceNumber}}</span>
+      <span>{{customerName}}</span>
+      {{#if jobName}}
+      <span>Job: {{jobName}}</span>
+      {{/if}}
+    </template>
+
+    <div class="top-header">
+      <div class="company-info">
+        {{#if company.logo}}
+        <img class="company-logo" src="{{company.logo}}" alt="">
+        {{/if}}
+        <div class="company-name">{{company.name}}</div>
+        {{#each company.addressLines}}
+        <div>{{this}}</div>
+        {{/each}}
+        {{#if company.phone}}
+        <div>{{company.phone}}</div>
+        {{/if}}
+        {{#if company.email}}
+        <div>{{company.email}}</div>
+        {{/if}}
+        {{#if company.abn}}
+        <div>ABN {{company.abn}}</div>
+        {{/if}}
+      </div>
+
+      <div class="received-box">
+        <div class="received-title">
+          Received In Good Order &amp;
+          Condition
+        </div>
+
+        <textarea
+          rows="1"
+          placeholder="Name:"
+        ></textarea>
+
+        <textarea
+          rows="2"
+          placeholder="Sign:"
+        ></textarea>
+
+        <textarea
+          rows="1"
+          placeholder="Date: __ / __ / ____"
+        ></textarea>
+      </div>
+    </div>
+
+    <h2 class="delivery-title">
+      {{document.title}}
+    </h2>
+
+    <div class="address-grid">
+      <div>
+        <div class="address-heading">
+          {{document.partyLabel}}
+        </div>
+
+        <div class="address-value">{{billingAddress}}</div>
+      </div>
+
+      <div>
+        <div class="address-heading">
+          SHIP TO
+        </div>
+
+        <div class="address-value">{{shippingAddress}}</div>
+      </div>
+
+      <div class="invoice-summary">
+        <div>
+          <strong>{{document.numberLabel}}:</strong>{{invoiceNumber}}
+        </div>
+
+        <div>
+          <strong>DATE:</strong>{{invoiceDate}}
+        </div>
+
+        {{#if numberBarcode}}
+        <div class="number-barcode">{{{numberBarcode}}}</div>
+        {{/if}}
+      </div>
+    </div>
+
+    <hr class="separator">
+
+    {{{orderGrid}}}
+
+    <div class="products-section">
+      {{{productTable}}}
+    </div>
+
+    <div class="signoff">
+      <span>
+        Picked By: {{#if pickedBy}}{{pickedBy}}{{else}}_______________{{/if}}
+      </span>
+
+      <span>
+        Checked By: _______________
+      </span>
+    </div>
+  </div>
+`;
+
+  const TEMPLATE_TAG =
+    /(\{\{\{[\s\S]+?\}\}\}|\{\{[\s\S]+?\}\})/;
+
+  /*
+   * Template text to a node tree. Throws with a readable
+   * message on unbalanced blocks so the editor can show it.
+   */
+  function parseTemplate(template) {
+    const root = { type: "root", children: [] };
+    const stack = [root];
+
+    const append = (node) => {
+      const current = stack[stack.length - 1];
+
+      (current.alternate || current.children).push(
+        node
+      );
+    };
+
+    for (const part of String(template ?? "").split(
+      TEMPLATE_TAG
+    )) {
+      if (!part) continue;
+
+      if (part.startsWith("{{{")) {
+        append({
+          type: "raw",
+          path: part.slice(3, -3).trim(),
+        });
+        continue;
+      }
+
+      if (!part.startsWith("{{")) {
+        append({ type: "text", text: part });
+        continue;
+      }
+
+      const tag = part.slice(2, -2).trim();
+
+      if (tag.startsWith("!")) continue;
+
+      const open = tag.match(
+        /^#(each|if|unless)\s+(.+)$/
+      );
+
+      if (open) {
+        const block = {
+          type: open[1],
+          path: open[2].trim(),
+          children: [],
+          alternate: null,
+        };
+
+        append(block);
+        stack.push(block);
+        continue;
+      }
+
+      const current = stack[stack.length - 1];
+
+      if (tag === "else") {
+        if (current === root || current.alternate) {
+          throw new Error("{{else}} outside a block");
+        }
+
+        current.alternate = [];
+        continue;
+      }
+
+      const close = tag.match(
+        /^\/(each|if|unless)$/
+      );
+
+      if (close) {
+        if (current.type !== close[1]) {
+          throw new Error(
+            current === root
+              ? `{{/${close[1]}}} without a matching {{#${close[1]}}}`
+              : `{{/${close[1]}}} closes {{#${current.type} ${current.path}}}`
+          );
+        }
+
+        stack.pop();
+        continue;
+      }
+
+      append({ type: "value", path: tag });
+    }
+
+    if (stack.length > 1) {
+      const unclosed = stack[stack.length - 1];
+
+      throw new Error(
+        `{{#${unclosed.type} ${unclosed.path}}} is never closed`
+      );
+    }
+
+    return root.children;
+  }
+
+  function lookupTemplateValue(
+    path,
+    scopes,
+    locals
+  ) {
+    if (path in locals) return locals[path];
+
+    const parts =
+      path === "this"
+        ? []
+        : path.replace(/^this\./, "").split(".");
+
+    for (const scope of scopes) {
+      let value = scope;
+      let found = true;
+
+      for (const part of parts) {
+        if (
+          value != null &&
+          typeof value === "object" &&
+          part in value
+        ) {
+          value = value[part];
+        } else {
+          found = false;
+          break;
+        }
+      }
+
+      if (found) return value;
+    }
+
+    return "";
+  }
+
+  function isTemplateTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+
+    if (value && typeof value === "object") {
+      return Object.keys(value).length > 0;
+    }
+
+    return Boolean(value);
+  }
+
+  function renderTemplateNodes(
+    nodes,
+    scopes,
+    locals
+  ) {
+    return nodes
+      .map((node) => {
+        if (node.type === "text") {
+          return node.text;
+        }
+
+        const value = lookupTemplateValue(
+          node.path,
+          scopes,
+          locals
+        );
+
+        switch (node.type) {
+          case "raw":
+            return String(value ?? "");
+          case "value":
+            return escapeHtml(value ?? "");
+          case "if":
+          case "unless": {
+            const show =
+              isTemplateTruthy(value) ===
+              (node.type === "if");
+
+            return renderTemplateNodes(
+              show
+                ? node.children
+                : node.alternate || [],
+              scopes,
+              locals
+            );
+          }
+          case "each": {
+            const items = Array.isArray(value)
+              ? value
+              : [];
+
+            if (!items.length) {
+              return renderTemplateNodes(
+                node.alternate || [],
+                scopes,
+                locals
+              );
+            }
+
+            return items
+              .map((item, index) =>
+                renderTemplateNodes(
+                  node.children,
+                  [item, ...scopes],
+                  {
+                    ...locals,
+                    "@index": index,
+                    "@number": index + 1,
+                  }
+                )
+              )
+              .join("");
+          }
+          default:
+            return "";
+        }
+      })
+      .join("");
+  }
+
+  function renderTemplate(template, context) {
+    return renderTemplateNodes(
+      parseTemplate(template),
+      [context],
+      {}
+    );
+  }
+
+  /*
+   * The print window runs on the QuickBooks origin, so a
+   * rendered page may only contain markup from these lists.
+   * Anything that can run code or load a document (scripts,
+   * frames, objects, forms, on* handlers, javascript: URLs)
+   * is removed after rendering, when the page is real HTML.
+   */
+  const PAGE_ELEMENTS = new Set([
+    "a", "b", "br", "caption", "col", "colgroup", "div",
+    "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i",
+    "img", "li", "ol", "p", "section", "small", "span",
+    "strong", "style", "sub", "sup", "table", "tbody", "td",
+    "template", "textarea", "tfoot", "th", "thead", "tr",
+    "u", "ul",
+    "svg", "g", "rect", "line", "path", "polyline", "text",
+  ]);
+
+  // Left out together with everything inside them.
+  const DROPPED_PAGE_ELEMENTS = new Set([
+    "script", "iframe", "frame", "frameset", "object",
+    "embed", "applet", "noscript", "noembed", "noframes",
+    "base", "link", "meta", "form", "input", "button",
+    "select", "option", "math", "foreignobject", "animate",
+    "set", "use", "image", "portal",
+  ]);
+
+  const PAGE_ATTRIBUTES = new Set([
+    "class", "id", "style", "title", "lang", "dir", "role",
+    "alt", "src", "href", "width", "height", "colspan",
+    "rowspan", "span", "align", "valign", "rows", "cols",
+    "placeholder", "readonly",
+    "viewbox", "xmlns", "preserveaspectratio",
+    "shape-rendering", "x", "y", "x1", "y1", "x2", "y2",
+    "d", "points", "fill", "stroke", "stroke-width",
+    "transform", "font-size", "font-family", "font-weight",
+    "text-anchor",
+  ]);
+
+  const PAGE_URL_SCHEMES = {
+    href: ["http", "https", "mailto", "tel"],
+    src: ["http", "https", "data"],
+  };
+
+  function isAllowedPageAttribute(element, attribute) {
+    const name = attribute.name.toLowerCase();
+
+    if (/^(?:data|aria)-[\w-]+$/.test(name)) {
+      return true;
+    }
+
+    if (!PAGE_ATTRIBUTES.has(name)) return false;
+
+    if (!PAGE_URL_SCHEMES[name]) return true;
+
+    // Browsers ignore whitespace and control characters here.
+    const url = attribute.value.replace(
+      /[\u0000-\u0020\u007f]/g,
+      ""
+    );
+
+    const scheme = url
+      .match(/^([a-z][a-z\d+.-]*):/i)?.[1]
+      .toLowerCase();
+
+    if (!scheme) return true;
+
+    if (scheme === "data") {
+      return (
+        element.localName === "img" &&
+        /^data:image\//i.test(url)
+      );
+    }
+
+    return PAGE_URL_SCHEMES[name].includes(scheme);
+  }
+
+  function sanitizePageNodes(parent, removed) {
+    for (const node of [...parent.childNodes]) {
+      if (node.nodeType !== 1) continue;
+
+      const name = node.localName.toLowerCase();
+
+      if (!PAGE_ELEMENTS.has(name)) {
+        removed.add(`<${name}>`);
+
+        if (DROPPED_PAGE_ELEMENTS.has(name)) {
+          node.remove();
+          continue;
+        }
+
+        // Unknown but harmless wrappers keep their content.
+        sanitizePageNodes(node, removed);
+        node.replaceWith(...node.childNodes);
+        continue;
+      }
+
+      for (const attribute of [...node.attributes]) {
+        if (!isAllowedPageAttribute(node, attribute)) {
+          removed.add(attribute.name);
+          node.removeAttribute(attribute.name);
+        }
+      }
+
+      sanitizePageNodes(
+        name === "template" ? node.content : node,
+        removed
+      );
+    }
+  }
+
+  /*
+   * Parsed in an inert <template>, so nothing loads or runs
+   * while it is checked. What was taken out is added to
+   * removed, for the editor to report.
+   */
+  function sanitizeRenderedPage(
+    html,
+    removed = new Set()
+  ) {
+    const holder = document.createElement("template");
+
+    holder.innerHTML = html;
+    sanitizePageNodes(holder.content, removed);
+
+    return holder.innerHTML;
+  }
+
+  function loadTemplates() {
+    return readStoredJson(TEMPLATES_KEY, {});
+  }
+
+  function getTemplate(documentKind) {
+    return (
+      loadTemplates()[documentKind] ||
+      DEFAULT_PAGE_TEMPLATE
+    );
+  }
+
+  /*
+   * Saving "" or the default removes the stored copy, so the
+   * kind follows future changes to the default.
+   */
+  function saveTemplate(documentKind, template) {
+    parseTemplate(template);
+
+    const templates = loadTemplates();
+
+    if (
+      !template.trim() ||
+      template === DEFAULT_PAGE_TEMPLATE
+    ) {
+      delete templates[documentKind];
+    } else {
+      templates[documentKind] = template;
+    }
+
+    if (!writeStoredJson(TEMPLATES_KEY, templates)) {
+      throw new Error(
+        "The template is too large for browser storage."
+      );
+    }
+  }
+
+  /*
+   * Everything a template can show. The flat data fields sit
+   * at the top level next to the document labels and the
+   * pre-rendered HTML parts.
+   */
+  function buildTemplateContext(
+    data,
+    productTable,
+    documentKind
+  ) {
+    const type = getTransactionType(
+      data.transactionType
+    );
+
+    return {
+      ...data,
+      document: {
+        kind: documentKind,
+        title: type.documentTitle,
+        typeLabel: type.label,
+        numberLabel: type.numberLabel,
+        partyLabel: type.partyLabel,
+      },
+      customFieldList: Object.entries(
+        data.customFields || {}
+      ).map(([label, value]) => ({
+        label,
+        value,
+      })),
+      rows: data.rows.map((row) => ({
+        ...row,
+        quantity: formatQuantity(
+          row.quantity,
+          row.unit
+        ),
+      })),
+      company: buildCompanyContext(
+        getActiveBranding()
+      ),
+      printedAt: new Date().toLocaleString(
+        CONFIG.payloadDateLocale
+      ),
+      productTable,
+      orderGrid: buildOrderGrid(data, documentKind),
+      numberBarcode:
+        CONFIG.invoiceNumberBarcode &&
+        data.invoiceNumber !== "N/A"
+          ? renderBarcodeSvg(data.invoiceNumber, {
+              width: "180px",
+              height: 36,
+            })
+          : "",
+    };
+  }
+
+  // =========================================================
+  // Print layout
+  // =========================================================
+
+  function resolveOrderGridFields(
+    data,
+    documentKind
+  ) {
+    const configuredLabels =
+      CONFIG.orderGridFields[documentKind] ||
+      [];
+
+    const listedLabels = new Set(
+      configuredLabels
+        .filter(
+          (label) =>
+            typeof label === "string" &&
+            label !== "*"
+        )
+        .map((label) =>
+          normalizeText(label).toLowerCase()
+        )
+    );
+
+    const fields = [];
+
+    const standardFields = {
+      ...SHIPPING_FIELDS,
+      ...CONTACT_FIELDS,
+    };
+
+    const getSource = (label) =>
+      data.fieldSources?.[label.toLowerCase()] ||
+      null;
+
+    for (const label of configuredLabels) {
+      if (typeof label === "object") {
+        const standardField =
+          standardFields[label.field];
+
+        if (!standardField) {
+          warn(
+            "Unknown order grid field:",
+            label.field
+          );
+
+          continue;
+        }
+
+        fields.push({
+          label:
+            label.label ||
+            standardField.heading,
+          value: data[label.field] || "",
+          source: CONTACT_FIELDS[label.field]
+            ? "customer record"
+            : null,
+        });
+
+        continue;
+      }
+
+      if (label !== "*") {
+        fields.push({
+          label,
+          value: getCustomFieldValue(
+            data.customFields,
+            label
+          ),
+          source: getSource(label),
+        });
+
+        continue;
+      }
+
+      for (const [fieldLabel, value] of Object.entries(
+        data.customFields || {}
+      )) {
+        if (
+          !listedLabels.has(
+            fieldLabel.toLowerCase()
+          )
+        ) {
+          fields.push({
+            label: fieldLabel,
+            value,
+            source: getSource(fieldLabel),
+          });
+        }
+      }
+    }
+
+    return fields;
+  }
+
+  function buildOrderGrid(data, documentKind) {
+    const fields = resolveOrderGridFields(
+      data,
+      documentKind
+    );
+
+    if (!fields.length) {
+      return "";
+    }
+
+    const columns =
+      fields.length === 1
+        ? "1fr"
+        : `repeat(${
+            fields.length - 1
+          }, 1fr) 0.6fr`;
+
+    const cells = fields
+      .map((field) => {
+        const sourceNote =
+          FIELD_SOURCE_NOTES[field.source];
+
+        return `
+      <div>
+        <div class="order-heading">
+          ${escapeHtml(
+            field.label.toUpperCase()
+          )}
+        </div>
+
+        <div class="order-value">${escapeHtml(
+          field.value || ""
+        )}${
+          sourceNote && field.value
+            ? `<sup class="source-marker">${escapeHtml(
+                sourceNote.marker
+              )}</sup>`
+            : ""
+        }</div>
+      </div>
+    `;
+      })
+      .join("");
+
+    const notes = Array.from(
+      new Set(
+        fields
+          .filter(
+            (field) =>
+              field.value &&
+              FIELD_SOURCE_NOTES[field.source]
+          )
+          .map((field) => field.source)
+      )
+    )
+      .map((source) => {
+        const sourceNote =
+          FIELD_SOURCE_NOTES[source];
+
+        return `${escapeHtml(
+          sourceNote.marker
+        )} ${escapeHtml(sourceNote.note)}`;
+      })
+      .join(" &nbsp; ");
+
+    return `
+    <div class="order-grid" style="grid-template-columns: ${columns};">
+      ${cells}
+    </div>
+    ${
+      notes
+        ? `<div class="source-notes">${notes}</div>`
+        : ""
+    }
+    `;
+  }
+
+  /*
+   * Full printable document around one or more pages; each
+   * .maincontainer after the first starts on a new sheet.
+   */
+  function wrapPrintDocument(title, pages) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+
+  <style>
+    * {
+      box-sizing: border-box;
+    }
+
+    html,
+    body {
+      margin: 0;
+      padding: 0;
+    }
+
+    body {
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      line-height: 1.35;
+      color: #000;
+    }
+
+    .maincontainer {
+      width: 100%;
+      margin: 0 auto;
+      padding: 14px;
+    }
+
+    .top-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      gap: 20px;
+    }
+
+    .company-info {
+      width: 68%;
+    }
+
+    .company-name {
+      font-weight: 700;
+    }
+
+    .company-logo {
+      display: block;
+      max-width: 220px;
+      max-height: 70px;
+      margin-bottom: 6px;
+    }
+
+    .received-box {
+      width: 230px;
+      font-size: 10px;
+    }
+
+    .received-title {
+      font-weight: 700;
+      margin-bottom: 2px;
+    }
+
+    .received-box textarea {
+      display: block;
+      width: 100%;
+      resize: none;
+      padding: 3px;
+      font-family: Arial, sans-serif;
+      font-size: 11px;
+      border: 1px solid #777;
+      border-bottom: 0;
+    }
+
+    .received-box textarea:last-child {
+      border-bottom: 1px solid #777;
+    }
+
+    .delivery-title {
+      color: var(--accent, #000);
+      margin: 17px 0 10px;
+      font-size: 20px;
+      line-height: 1;
+    }
+
+    .address-grid {
+      display: grid;
+      grid-template-columns:
+        1fr 1fr 0.75fr;
+      gap: 28px;
+      width: 100%;
+    }
+
+    .address-heading,
+    .order-heading {
+      font-weight: 700;
+      margin-bottom: 7px;
+    }
+
+    .address-value {
+      white-space: pre-line;
+      min-height: 65px;
+    }
+
+    .invoice-summary {
+      line-height: 1.4;
+    }
+
+    .number-barcode {
+      margin-top: 6px;
+    }
+
+    .barcode {
+      display: block;
+      max-width: 100%;
+    }
+
+    .product-table td .barcode {
+      margin: 0 auto;
+    }
+
+    .separator {
+      border: 0;
+      border-top: 1px solid #bbb;
+      margin: 10px 0;
+    }
+
+    .order-grid {
+      display: grid;
+      grid-template-columns:
+        1fr 1fr 0.6fr;
+      gap: 28px;
+      padding: 2px 0 9px;
+      align-items: start;
+    }
+
+    
+.order-grid > div:first-child {
+    text-align: left;
+}
+
+
+.order-grid > div:not(:first-child):not(:last-child) {
+    text-align: left;         
+    justify-self: center;      
+    width: 100%;
+    max-width: 420px;
+}
+
+
+.order-grid > div:last-child:not(:first-child) {
+    text-align: right;         
+    justify-self: end;
+}
+
+    .order-value {
+      min-height: 17px;
+    }
+
+    .source-marker {
+      font-size: 9px;
+      margin-left: 2px;
+    }
+
+    .source-notes {
+      font-size: 10px;
+      color: #444;
+      margin-bottom: 6px;
+    }
+
+    .products-section {
+      margin-top: 8px;
+      border-top: 1px solid var(--accent, #000);
+      padding-top: 12px;
+    }
+
+    .product-table {
+      width: 100%;
+      border-collapse: collapse;
+      table-layout: fixed;
+    }
+
+    .product-table th {
+      background: #d2d2d2;
+      padding: 8px;
+      font-weight: 700;
+      text-align: left;
+    }
+
+    .product-table td {
+      padding: 6px 8px;
+      vertical-align: top;
+    }
+
+    .product-table .align-left {
+      text-align: left;
+    }
+
+    .product-table .align-center {
+      text-align: center;
+    }
+
+    .product-table .align-right {
+      text-align: right;
+    }
+
+    .quantity-heading,
+    .quantity-cell {
+      text-align: right !important;
+    }
+
+    .category-row td {
+      font-weight: 400;
+      padding-top: 8px;
+      padding-bottom: 3px;
+    }
+
+    .section-row td {
+      font-weight: 700;
+      padding-top: 12px;
+      border-bottom: 1px solid #000;
+    }
+
+    .subtotal-row td {
+      font-weight: 700;
+      border-top: 1px solid #ccc;
+    }
+
+    .maincontainer + .maincontainer {
+      break-before: page;
+      page-break-before: always;
+    }
+
+    .summary-page {
+      break-before: page;
+      page-break-before: always;
+    }
+
+    .wave-product-row td {
+      font-weight: 700;
+      border-top: 1px solid #ccc;
+    }
+
+    .wave-breakdown-row td {
+      padding-top: 1px;
+      padding-bottom: 1px;
+      font-size: 11px;
+      color: #333;
+    }
+
+    .wave-breakdown-row td:first-child {
+      padding-left: 24px;
+    }
+
+    .wave-invoices {
+      margin: 4px 0 0;
+      padding-left: 18px;
+      columns: 3;
+      font-size: 11px;
+    }
+
+    .grouping-warnings {
+      margin-bottom: 10px;
+      padding: 6px 8px;
+      border: 1px solid #b00020;
+      color: #b00020;
+      font-size: 12px;
+    }
+
+    .grouping-warnings ul {
+      margin: 4px 0 0;
+      padding-left: 18px;
+    }
+
+    .load-summary {
+      display: flex;
+      gap: 24px;
+      margin-top: 8px;
+      padding-top: 6px;
+      border-top: 1px solid #ccc;
+      font-size: 12px;
+    }
+
+    .collect-section {
+      margin-top: 14px;
+      break-inside: avoid;
+    }
+
+    .collect-title {
+      margin: 0 0 6px;
+      font-size: 15px;
+    }
+
+    .summary-title {
+      margin: 0 0 8px;
+      font-size: 16px;
+    }
+
+    .signoff {
+      display: flex;
+      justify-content: space-between;
+      border-top: 1px solid #ccc;
+      margin-top: 10px;
+      padding-top: 15px;
+      font-size: 12px;
+    }
+
+    .print-page {
+      display: flex;
+      flex-direction: column;
+      width: ${PRINT_PAGE_BODY.widthMm}mm;
+      height: ${PRINT_PAGE_BODY.heightMm}mm;
+      padding: 0;
+      overflow: hidden;
+    }
+
+    .print-page-body {
+      flex: 1;
+      min-height: 0;
+      overflow: hidden;
+    }
+
+    .print-page.print-page-oversized {
+      height: auto;
+      min-height: ${PRINT_PAGE_BODY.heightMm}mm;
+      overflow: visible;
+    }
+
+    .print-page-oversized .print-page-body {
+      overflow: visible;
+    }
+
+    .print-page .summary-page {
+      break-before: auto;
+      page-break-before: auto;
+    }
+
+    .page-header-compact {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px 18px;
+      margin-bottom: 10px;
+      padding-bottom: 5px;
+      border-bottom: 1px solid var(--accent, #000);
+      font-size: 12px;
+    }
+
+    .print-page-footer {
+      padding-top: 4px;
+      border-top: 1px solid #ccc;
+      font-size: 10px;
+      text-align: right;
+    }
+
+    @media print {
+      @page {
+        size: A4 portrait;
+        margin: ${PRINT_PAGE.marginMm}mm;
+      }
+
+      .maincontainer {
+        padding: 0;
+      }
+
+      .product-table thead {
+        display: table-header-group;
+      }
+
+      .product-table tr {
+        break-inside: avoid;
+      }
+    }
+  </style>
+</head>
+
+<body>
+${pages}
+</body>
+</html>
+    `;
+  }
+
+  /*
+   * One page from the stored template for the document kind.
+   * Saved templates are checked when saved, so a failure here
+   * means storage was edited by hand; the default is used.
+   */
+  function buildDocumentPage(
+    data,
+    productTable,
+    documentKind
+  ) {
+    const context = buildTemplateContext(
+      data,
+      productTable,
+      documentKind
+    );
+
+    let page;
+
+    try {
+      page = renderTemplate(
+        getTemplate(documentKind),
+        context
+      );
+    } catch (error) {
+      warn(
+        "Stored template failed, using the default:",
+        error
+      );
+
+      page = renderTemplate(
+        DEFAULT_PAGE_TEMPLATE,
+        context
+      );
+    }
+
+    const removed = new Set();
+    const safePage = sanitizeRenderedPage(page, removed);
+
+    if (removed.size) {
+      warn(
+        "Left out of the printed page:",
+        Array.from(removed)
+      );
+    }
+
+    return safePage;
+  }
+
+  function generatePrintLayout(
+    data,
+    productTable,
+    documentKind
+  ) {
+    const type = getTransactionType(
+      data.transactionType
+    );
+
+    return wrapPrintDocument(
+      `${type.label} ${data.invoiceNumber}`,
+      buildDocumentPage(
+        data,
+        productTable,
+        documentKind
+      )
+    );
+  }
+
+  // =========================================================
+  // Pagination
+  // =========================================================
+
+  /*
+   * Documents are laid out on fixed-height A4 pages in the
+   * print window before printing, so every page can carry a
+   * "Page X of Y" footer and pages after the first a compact
+   * header (the template's <template class="page-header">).
+   * Line tables split between rows with their column headings
+   * repeated; anything else moves to the next page whole, so
+   * the sign-off only ever prints once, on the last page.
+   */
+  const PRINT_PAGE = {
+    widthMm: 210,
+    heightMm: 297,
+    marginMm: 8,
+  };
+
+  // Printable area, a millimetre short so rounding never spills.
+  const PRINT_PAGE_BODY = {
+    widthMm: PRINT_PAGE.widthMm - PRINT_PAGE.marginMm * 2,
+    heightMm:
+      PRINT_PAGE.heightMm - PRINT_PAGE.marginMm * 2 - 1,
+  };
+
+  // Headings that are not left alone at the bottom of a page.
+  const KEEP_WITH_NEXT_SELECTOR =
+    "tr.category-row, tr.section-row, h3";
+
+  // Parts that always start on a new page.
+  const PAGE_BREAK_SELECTOR = ".summary-page";
+
+  const SPLITTABLE_TABLE_SELECTOR =
+    "table.product-table";
+
+  function isSplittable(element) {
+    return Boolean(
+      element.matches(SPLITTABLE_TABLE_SELECTOR) ||
+        element.querySelector(
+          SPLITTABLE_TABLE_SELECTOR
+        )
+    );
+  }
+
+  /*
+   * The container's content as a flat list of blocks. Each
+   * keeps the chain of wrappers it sat in, so a page can
+   * rebuild just the wrappers it needs.
+   */
+  function collectPageBlocks(
+    element,
+    path = [],
+    blocks = []
+  ) {
+    for (const child of [...element.children]) {
+      if (child.matches(SPLITTABLE_TABLE_SELECTOR)) {
+        for (const body of child.tBodies) {
+          for (const row of [...body.rows]) {
+            blocks.push({
+              node: row,
+              path: [...path, child, body],
+            });
+          }
+        }
+
+        continue;
+      }
+
+      if (isSplittable(child)) {
+        collectPageBlocks(
+          child,
+          [...path, child],
+          blocks
+        );
+        continue;
+      }
+
+      blocks.push({ node: child, path });
+    }
+
+    return blocks;
+  }
+
+  // Tables come with their column sizes and headings.
+  function cloneWrapper(element) {
+    const clone = element.cloneNode(false);
+
+    if (element.tagName === "TABLE") {
+      for (const part of element.children) {
+        if (
+          part.tagName === "COLGROUP" ||
+          part.tagName === "THEAD"
+        ) {
+          clone.appendChild(part.cloneNode(true));
+        }
+      }
+    }
+
+    return clone;
+  }
+
+  function createPrintPage(container, headerHtml) {
+    const doc = container.ownerDocument;
+    const page = container.cloneNode(false);
+
+    page.classList.add("print-page");
+
+    const body = doc.createElement("div");
+    body.className = "print-page-body";
+
+    if (headerHtml) {
+      body.innerHTML = `<div class="page-header-compact">${headerHtml}</div>`;
+    }
+
+    const footer = doc.createElement("div");
+    footer.className = "print-page-footer";
+
+    page.append(body, footer);
+    container.before(page);
+
+    return {
+      page,
+      body,
+      footer,
+      wrappers: new Map(),
+      placed: [],
+    };
+  }
+
+  function placeBlock(sheet, block) {
+    const created = [];
+    let parent = sheet.body;
+
+    for (const wrapper of block.path) {
+      let clone = sheet.wrappers.get(wrapper);
+
+      if (!clone) {
+        clone = cloneWrapper(wrapper);
+        sheet.wrappers.set(wrapper, clone);
+        parent.appendChild(clone);
+        created.push(wrapper);
+      }
+
+      parent = clone;
+    }
+
+    parent.appendChild(block.node);
+
+    return { block, created };
+  }
+
+  function unplaceBlock(sheet, placement) {
+    placement.block.node.remove();
+
+    for (const wrapper of placement.created) {
+      sheet.wrappers.get(wrapper)?.remove();
+      sheet.wrappers.delete(wrapper);
+    }
+  }
+
+  function isPageOverflowing(sheet) {
+    return (
+      sheet.body.scrollHeight >
+      sheet.body.clientHeight + 1
+    );
+  }
+
+  function paginateContainer(container) {
+    const headerTemplate = container.querySelector(
+      "template.page-header"
+    );
+
+    const headerHtml = normalizeText(
+      headerTemplate?.content.textContent
+    )
+      ? headerTemplate.innerHTML
+      : "";
+
+    headerTemplate?.remove();
+
+    const blocks = collectPageBlocks(container);
+    const startedBreaks = new Set();
+    const sheets = [];
+
+    const startSheet = () => {
+      const sheet = createPrintPage(
+        container,
+        sheets.length ? headerHtml : ""
+      );
+
+      sheets.push(sheet);
+      return sheet;
+    };
+
+    let sheet = startSheet();
+
+    for (const block of blocks) {
+      if (sheet.oversized) {
+        sheet = startSheet();
+      }
+
+      const breakAt = [...block.path, block.node].find(
+        (element) =>
+          element.matches(PAGE_BREAK_SELECTOR) &&
+          !startedBreaks.has(element)
+      );
+
+      if (breakAt) {
+        startedBreaks.add(breakAt);
+
+        if (sheet.placed.length) {
+          sheet = startSheet();
+        }
+      }
+
+      let placement = placeBlock(sheet, block);
+
+      if (
+        isPageOverflowing(sheet) &&
+        sheet.placed.length
+      ) {
+        unplaceBlock(sheet, placement);
+
+        const carried = [];
+
+        while (
+          sheet.placed.length > 1 &&
+          sheet.placed[
+            sheet.placed.length - 1
+          ].block.node.matches(
+            KEEP_WITH_NEXT_SELECTOR
+          )
+        ) {
+          const last = sheet.placed.pop();
+
+          unplaceBlock(sheet, last);
+          carried.unshift(last.block);
+        }
+
+        sheet = startSheet();
+
+        for (const carriedBlock of carried) {
+          sheet.placed.push(
+            placeBlock(sheet, carriedBlock)
+          );
+        }
+
+        placement = placeBlock(sheet, block);
+      }
+
+      sheet.placed.push(placement);
+
+      /*
+       * Still too tall on a sheet of its own (a long note or a
+       * big image): the sheet grows instead of cutting it off,
+       * and the printer breaks it wherever it falls.
+       */
+      if (isPageOverflowing(sheet)) {
+        sheet.oversized = true;
+        sheet.page.classList.add(
+          "print-page-oversized"
+        );
+
+        warn(
+          "A block is taller than a page, so it runs over the page end",
+          block.node
+        );
+      }
+    }
+
+    sheets.forEach((entry, index) => {
+      entry.footer.textContent = `Page ${
+        index + 1
+      } of ${sheets.length}`;
+    });
+
+    container.remove();
+
+    return sheets.length;
+  }
+
+  /*
+   * doc must already be laid out (loaded in a window or
+   * frame), because pages are filled by measuring.
+   */
+  function paginatePrintDocument(doc) {
+    if (!CONFIG.paginateDocuments) return;
+
+    for (const container of [
+      ...doc.querySelectorAll(".maincontainer"),
+    ]) {
+      try {
+        paginateContainer(container);
+      } catch (error) {
+        warn("Could not paginate a page:", error);
+      }
+    }
+  }
+
+  // =========================================================
+  // Print execution
+  // =========================================================
+
+  /*
+   * Stable data ready to print, or null after telling the user
+   * why nothing can be printed.
+   */
+  async function readPrintableData() {
+    const data =
+      await getStableExtractedData();
+
+    if (!data.rows.length) {
+      const typeLabel = getTransactionType(
+        data.transactionType
+      ).label.toLowerCase();
+
+      alert(
+        `No ${typeLabel} line items were found. Please allow the ${typeLabel} to finish loading and try again.`
+      );
+
+      return null;
+    }
+
+    if (data.missingLines?.length) {
+      alert(
+        `Line${
+          data.missingLines.length === 1
+            ? ""
+            : "s"
+        } ${data.missingLines.join(
+          ", "
+        )} could not be read from QuickBooks, so nothing was printed. Scroll through the whole line table once and try again.${
+          data.expectedLines?.source ===
+          "saved transaction"
+            ? " If you removed lines, save the transaction first."
+            : ""
+        }`
+      );
+
+      return null;
+    }
+
+    if (data.harvestIncomplete) {
+      alert(
+        "The line table is longer than the script could scroll through, so nothing was printed. Raise CONFIG.harvestMaxScrollSteps and try again."
+      );
+
+      return null;
+    }
+
+    if (!confirmDefaultBranding()) return null;
+
+    return data;
+  }
+
+  /*
+   * Returns false when the popup was blocked. afterPrint runs
+   * once the print dialog has closed, printed or not.
+   */
+  function openPrintWindow(
+    printLayout,
+    afterPrint = null
+  ) {
+    const printWindow = window.open(
+      "",
+      "_blank",
+      "width=1000,height=760"
+    );
+
+    if (!printWindow) {
+      alert(
+        "The print window was blocked. Please allow popups for qbo.intuit.com."
+      );
+
+      return false;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(
+      printLayout
+    );
+    printWindow.document.close();
+
+    const triggerPrint = () => {
+      setTimeout(() => {
+        paginatePrintDocument(
+          printWindow.document
+        );
+
+        printWindow.focus();
+        printWindow.print();
+        afterPrint?.();
+      }, 350);
+    };
+
+    if (
+      printWindow.document.readyState ===
+      "complete"
+    ) {
+      triggerPrint();
+    } else {
+      printWindow.addEventListener(
+        "load",
+        triggerPrint,
+        { once: true }
+      );
+    }
+
+    return true;
+  }
+
+  function buildDocumentLayout(
+    data,
+    combineQuantities
+  ) {
+    return generatePrintLayout(
+      data,
+      buildProductTable(
+        data.rows,
+        combineQuantities
+      ),
+      getDocumentKind(combineQuantities)
+    );
+  }
+
+  async function generateProductTable(
+    combineQuantities
+  ) {
+    if (STATE.printing) return;
+
+    STATE.printing = true;
+
+    try {
+      const data = await readPrintableData();
+
+      if (!data) return;
+
+      openPrintWindow(
+        buildDocumentLayout(
+          data,
+          combineQuantities
+        )
+      );
+    } finally {
+      STATE.printing = false;
+    }
+  }
+
+  // =========================================================
+  // Zip files
+  // =========================================================
+
+  /*
+   * Just enough of the zip format to bundle finished files:
+   * entries are stored uncompressed (PDFs barely shrink) and
+   * names are flagged as UTF-8.
+   */
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+
+    for (let index = 0; index < 256; index++) {
+      let value = index;
+
+      for (let bit = 0; bit < 8; bit++) {
+        value =
+          value & 1
+            ? 0xedb88320 ^ (value >>> 1)
+            : value >>> 1;
+      }
+
+      table[index] = value >>> 0;
+    }
+
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+
+    for (const byte of bytes) {
+      crc =
+        CRC32_TABLE[(crc ^ byte) & 0xff] ^
+        (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function getDosDateTime(date) {
+    return {
+      time:
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2),
+      date:
+        ((date.getFullYear() - 1980) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate(),
+    };
+  }
+
+  /*
+   * files: [{ name, data: Blob | Uint8Array | string }]
+   */
+  async function buildZip(files) {
+    const encoder = new TextEncoder();
+    const stamp = getDosDateTime(new Date());
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+
+      const data =
+        file.data instanceof Uint8Array
+          ? file.data
+          : typeof file.data === "string"
+            ? encoder.encode(file.data)
+            : new Uint8Array(
+                await file.data.arrayBuffer()
+              );
+
+      const crc = crc32(data);
+
+      const header = new DataView(
+        new ArrayBuffer(30)
+      );
+
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true);
+      header.setUint16(8, 0, true);
+      header.setUint16(10, stamp.time, true);
+      header.setUint16(12, stamp.date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+
+      const entry = new DataView(
+        new ArrayBuffer(46)
+      );
+
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, stamp.time, true);
+      entry.setUint16(14, stamp.date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+
+      parts.push(header, name, data);
+      directory.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce(
+      (total, part) => total + part.byteLength,
+      0
+    );
+
+    const end = new DataView(new ArrayBuffer(22));
+
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(
+      [...parts, ...directory, end],
+      { type: "application/zip" }
+    );
+  }
+
+  // =========================================================
+  // PDF download
+  // =========================================================
+
+  /*
+   * PDFs are drawn in the browser: each page of the print
+   * layout is rendered to a canvas by html2canvas and placed
+   * on A4 pages with jsPDF, both loaded through @require.
+   * Long pages are cut between table rows where possible.
+   */
+  const PDF_PAGE = {
+    widthMm: 210,
+    heightMm: 297,
+    // A4 width in CSS pixels, so the layout wraps as printed.
+    renderWidthPx: 794,
+  };
+
+  const PDF_DOCUMENTS = {
+    deliveryNote: {
+      prefix: "DN",
+      label: "Delivery note",
+    },
+    pickSlip: {
+      prefix: "PS",
+      label: "Pick slip",
+    },
+  };
+
+  // Elements a page may be cut under.
+  const PDF_BREAK_SELECTOR =
+    "tr, hr, .address-grid, .order-grid, .signoff, .load-summary, .grouping-warnings";
+
+  function sanitizeFileNamePart(value) {
+    return normalizeText(value)
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /*
+   * DN-1042-Smith Reno.pdf; parts that are missing are left
+   * out rather than leaving double dashes.
+   */
+  function buildDocumentFileName(
+    prefix,
+    data,
+    extension
+  ) {
+    const number =
+      data.invoiceNumber === "N/A"
+        ? ""
+        : data.invoiceNumber;
+
+    const name = [prefix, number, data.jobName]
+      .map(sanitizeFileNamePart)
+      .filter(Boolean)
+      .join("-");
+
+    return `${name || "document"}.${extension}`;
+  }
+
+  function getPdfLibraries() {
+    const jsPDF = window.jspdf?.jsPDF;
+    const html2canvas = window.html2canvas;
+
+    return jsPDF && html2canvas
+      ? { jsPDF, html2canvas }
+      : null;
+  }
+
+  /*
+   * Same-origin so the page can be measured and drawn from
+   * here, but without allow-scripts so nothing in the layout
+   * runs.
+   */
+  function loadLayoutFrame(printLayout) {
+    const frame = document.createElement("iframe");
+
+    frame.setAttribute("aria-hidden", "true");
+    frame.setAttribute("sandbox", "allow-same-origin");
+    frame.style.cssText = `
+      position: fixed;
+      left: -10000px;
+      top: 0;
+      width: ${PDF_PAGE.renderWidthPx}px;
+      height: 1200px;
+      border: 0;
+    `;
+
+    return new Promise((resolve) => {
+      frame.addEventListener(
+        "load",
+        () => resolve(frame),
+        { once: true }
+      );
+
+      frame.srcdoc = printLayout;
+      document.body.appendChild(frame);
+    });
+  }
+
+  /*
+   * Canvas rows to cut at: the bottom of every breakable
+   * element, in canvas pixels from the top of the page.
+   */
+  function getPageBreakPoints(page, scale) {
+    const top = page.getBoundingClientRect().top;
+
+    return [
+      ...page.querySelectorAll(PDF_BREAK_SELECTOR),
+    ]
+      .map((element) =>
+        Math.round(
+          (element.getBoundingClientRect().bottom -
+            top) *
+            scale
+        )
+      )
+      .sort((a, b) => a - b);
+  }
+
+  function addCanvasToPdf(
+    pdf,
+    canvas,
+    breakPoints,
+    isFirstPage
+  ) {
+    const margin = CONFIG.pdfMarginMm;
+    const widthMm = PDF_PAGE.widthMm - margin * 2;
+    const mmPerPixel = widthMm / canvas.width;
+
+    const sliceLimit = Math.floor(
+      (PDF_PAGE.heightMm - margin * 2) /
+        mmPerPixel
+    );
+
+    let top = 0;
+    let first = isFirstPage;
+
+    while (top < canvas.height) {
+      let bottom = Math.min(
+        top + sliceLimit,
+        canvas.height
+      );
+
+      if (bottom < canvas.height) {
+        const cut = breakPoints
+          .filter(
+            (point) =>
+              point > top && point <= bottom
+          )
+          .pop();
+
+        if (cut) bottom = cut;
+      }
+
+      const slice =
+        document.createElement("canvas");
+
+      slice.width = canvas.width;
+      slice.height = bottom - top;
+
+      const context = slice.getContext("2d");
+
+      context.fillStyle = "#fff";
+      context.fillRect(
+        0,
+        0,
+        slice.width,
+        slice.height
+      );
+      context.drawImage(
+        canvas,
+        0,
+        top,
+        canvas.width,
+        slice.height,
+        0,
+        0,
+        canvas.width,
+        slice.height
+      );
+
+      if (!first) pdf.addPage();
+      first = false;
+
+      pdf.addImage(
+        slice.toDataURL("image/jpeg", 0.92),
+        "JPEG",
+        margin,
+        margin,
+        widthMm,
+        slice.height * mmPerPixel
+      );
+
+      top = bottom;
+    }
+  }
+
+  async function renderLayoutToPdf(printLayout) {
+    const { jsPDF, html2canvas } =
+      getPdfLibraries();
+
+    const frame = await loadLayoutFrame(
+      printLayout
+    );
+
+    try {
+      paginatePrintDocument(frame.contentDocument);
+
+      const pdf = new jsPDF({
+        unit: "mm",
+        format: "a4",
+      });
+
+      const pages = [
+        ...frame.contentDocument.querySelectorAll(
+          ".maincontainer"
+        ),
+      ];
+
+      /*
+       * A custom template may leave out .maincontainer; the
+       * whole body is then one document.
+       */
+      if (!pages.length) {
+        const body = frame.contentDocument.body;
+
+        if (
+          !normalizeText(body.textContent) &&
+          !body.querySelector("img, svg, canvas")
+        ) {
+          throw new Error(
+            "the print template produced an empty page"
+          );
+        }
+
+        pages.push(body);
+      }
+
+      for (const [index, page] of pages.entries()) {
+        const canvas = await html2canvas(page, {
+          scale: CONFIG.pdfRenderScale,
+          backgroundColor: "#ffffff",
+          windowWidth: PDF_PAGE.renderWidthPx,
+        });
+
+        addCanvasToPdf(
+          pdf,
+          canvas,
+          getPageBreakPoints(
+            page,
+            CONFIG.pdfRenderScale
+          ),
+          index === 0
+        );
+      }
+
+      return pdf.output("blob");
+    } finally {
+      frame.remove();
+    }
+  }
+
+  async function buildDocumentPdf(
+    data,
+    documentKind
+  ) {
+    return {
+      name: buildDocumentFileName(
+        PDF_DOCUMENTS[documentKind].prefix,
+        data,
+        "pdf"
+      ),
+      data: await renderLayoutToPdf(
+        buildDocumentLayout(
+          data,
+          documentKind === "pickSlip"
+        )
+      ),
+    };
+  }
+
+  /*
+   * documentKinds with one entry downloads that PDF; more
+   * than one downloads them together as a zip.
+   */
+  async function downloadPdf(documentKinds) {
+    if (STATE.printing) return;
+
+    if (!getPdfLibraries()) {
+      alert(
+        "The PDF library did not load. Check the script's @require lines and reload QuickBooks."
+      );
+      return;
+    }
+
+    STATE.printing = true;
+    setPdfButtonText("⏳ PDF…");
+
+    try {
+      const data = await readPrintableData();
+
+      if (!data) return;
+
+      const files = [];
+
+      for (const documentKind of documentKinds) {
+        files.push(
+          await buildDocumentPdf(data, documentKind)
+        );
+      }
+
+      if (files.length === 1) {
+        downloadFile(files[0].name, files[0].data);
+        return;
+      }
+
+      downloadFile(
+        buildDocumentFileName("", data, "zip"),
+        await buildZip(files)
+      );
+    } catch (error) {
+      warn("PDF download failed", error);
+      alert(
+        `The PDF could not be created: ${error.message}`
+      );
+    } finally {
+      STATE.printing = false;
+      setPdfButtonText("📄 PDF");
+    }
+  }
+
+  function setPdfButtonText(text) {
+    const button = document.getElementById(
+      "custom-pdf-button"
+    );
+
+    if (button) button.textContent = text;
+  }
+
+  function closePdfMenu() {
+    document
+      .getElementById("custom-pdf-menu")
+      ?.remove();
+  }
+
+  function openPdfMenu() {
+    if (
+      document.getElementById("custom-pdf-menu")
+    ) {
+      closePdfMenu();
+      return;
+    }
+
+    const menu = document.createElement("div");
+    menu.id = "custom-pdf-menu";
+
+    menu.style.cssText = `
+      position: fixed;
+      bottom: 44px;
+      left: calc(14% + 625px);
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 8px;
+      background: #fff;
+      border: 1px solid #999;
+      border-radius: 5px;
+      box-shadow: 0 4px 14px rgba(0,0,0,.2);
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      z-index: 2147483647;
+    `;
+
+    const choices = [
+      ...Object.entries(PDF_DOCUMENTS).map(
+        ([documentKind, pdfDocument]) => ({
+          text: `${pdfDocument.label} (${pdfDocument.prefix})`,
+          documentKinds: [documentKind],
+        })
+      ),
+      {
+        text: "Both as zip",
+        documentKinds: Object.keys(PDF_DOCUMENTS),
+      },
+    ];
+
+    for (const choice of choices) {
+      const button =
+        document.createElement("button");
+
+      button.type = "button";
+      button.textContent = choice.text;
+      button.addEventListener("click", () => {
+        closePdfMenu();
+        downloadPdf(choice.documentKinds);
+      });
+
+      menu.appendChild(button);
+    }
+
+    document.body.appendChild(menu);
+  }
+
+  // =========================================================
+  // Labels
+  // =========================================================
+
+  /*
+   * 4x6" labels for thermal printers: one shipping label and
+   * "Carton 1 of N" labels. They print from the browser with
+   * the page sized to the label, or download as ZPL for Zebra
+   * printers to print without a driver.
+   */
+  const LABEL_SIZE = {
+    widthMm: 100,
+    heightMm: 150,
+  };
+
+  // 203 dpi Zebra printers print 8 dots per millimetre.
+  const ZPL_DOTS_PER_MM = 8;
+
+  const ZPL_WIDTH =
+    LABEL_SIZE.widthMm * ZPL_DOTS_PER_MM;
+
+  const ZPL_HEIGHT =
+    LABEL_SIZE.heightMm * ZPL_DOTS_PER_MM;
+
+  const ZPL_MARGIN = 40;
+
+  const MAX_CARTON_LABELS = 200;
+
+  function splitAddressLines(address) {
+    return normalizeMultiline(address)
+      .split("\n")
+      .map(normalizeText)
+      .filter(Boolean);
+  }
+
+  /*
+   * Without a ship-to address the label goes to the billing
+   * address, which already starts with the customer name.
+   */
+  function buildLabelData(data) {
+    const shipping =
+      data.shippingAddress &&
+      data.shippingAddress !== "N/A"
+        ? data.shippingAddress
+        : data.billingAddress;
+
+    const customer = normalizeText(
+      data.customerName
+    );
+
+    const addressLines = splitAddressLines(
+      shipping
+    ).filter(
+      (line, index) =>
+        index > 0 ||
+        line.toLowerCase() !==
+          customer.toLowerCase()
+    );
+
+    const company = buildCompanyContext(
+      getActiveBranding()
+    );
+
+    return {
+      customer,
+      addressLines,
+      jobName: normalizeText(data.jobName),
+      phoneNumber: normalizeText(data.phoneNumber),
+      invoiceNumber:
+        data.invoiceNumber === "N/A"
+          ? ""
+          : normalizeText(data.invoiceNumber),
+      company,
+    };
+  }
+
+  function renderLabelDetails(label) {
+    return [
+      ["Job", label.jobName],
+      ["Phone", label.phoneNumber],
+      ["Invoice", label.invoiceNumber],
+    ]
+      .filter(([, value]) => value)
+      .map(
+        ([name, value]) =>
+          `<div><strong>${name}:</strong> ${escapeHtml(
+            value
+          )}</div>`
+      )
+      .join("");
+  }
+
+  function renderLabelBarcode(label) {
+    return label.invoiceNumber
+      ? `<div class="label-barcode">${renderBarcodeSvg(
+          label.invoiceNumber,
+          { width: "100%", height: 60 }
+        )}</div>`
+      : "";
+  }
+
+  function buildShippingLabel(label) {
+    const from = [
+      label.company.name,
+      ...label.company.addressLines,
+      label.company.phone,
+    ].filter(Boolean);
+
+    return `
+      <div class="label">
+        <div class="label-from">
+          <strong>FROM</strong><br>
+          ${from.map(escapeHtml).join("<br>")}
+        </div>
+        <div class="label-heading">SHIP TO</div>
+        <div class="label-customer">${escapeHtml(
+          label.customer
+        )}</div>
+        <div class="label-address">${label.addressLines
+          .map(escapeHtml)
+          .join("<br>")}</div>
+        <div class="label-details">
+          ${renderLabelDetails(label)}
+        </div>
+        ${renderLabelBarcode(label)}
+      </div>
+    `;
+  }
+
+  function buildCartonLabel(label, number, count) {
+    return `
+      <div class="label">
+        <div class="label-from">
+          <strong>${escapeHtml(
+            label.company.name
+          )}</strong>
+        </div>
+        <div class="label-customer">${escapeHtml(
+          label.customer
+        )}</div>
+        <div class="label-address">${escapeHtml(
+          label.addressLines[
+            label.addressLines.length - 1
+          ] || ""
+        )}</div>
+        <div class="label-details">
+          ${renderLabelDetails(label)}
+        </div>
+        <div class="label-carton">
+          Carton ${number} of ${count}
+        </div>
+        ${renderLabelBarcode(label)}
+      </div>
+    `;
+  }
+
+  function wrapLabelDocument(title, labels) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+
+  <style>
+    @page {
+      size: ${LABEL_SIZE.widthMm}mm ${LABEL_SIZE.heightMm}mm;
+      margin: 0;
+    }
+
+    * {
+      box-sizing: border-box;
+    }
+
+    html,
+    body {
+      margin: 0;
+      padding: 0;
+    }
+
+    body {
+      font-family: Arial, sans-serif;
+      color: #000;
+    }
+
+    .label {
+      display: flex;
+      flex-direction: column;
+      width: ${LABEL_SIZE.widthMm}mm;
+      height: ${LABEL_SIZE.heightMm}mm;
+      padding: 5mm;
+      overflow: hidden;
+      page-break-after: always;
+      break-after: page;
+    }
+
+    .label:last-child {
+      page-break-after: auto;
+      break-after: auto;
+    }
+
+    .label-from {
+      font-size: 10pt;
+      line-height: 1.3;
+      padding-bottom: 3mm;
+      border-bottom: 0.6mm solid #000;
+    }
+
+    .label-heading {
+      margin-top: 4mm;
+      font-size: 12pt;
+      font-weight: 700;
+    }
+
+    .label-customer {
+      margin-top: 2mm;
+      font-size: 20pt;
+      font-weight: 700;
+      line-height: 1.15;
+    }
+
+    .label-address {
+      margin-top: 2mm;
+      font-size: 16pt;
+      line-height: 1.25;
+    }
+
+    .label-details {
+      margin-top: auto;
+      padding-top: 3mm;
+      border-top: 0.6mm solid #000;
+      font-size: 12pt;
+      line-height: 1.4;
+    }
+
+    .label-carton {
+      margin-top: 4mm;
+      font-size: 30pt;
+      font-weight: 700;
+      text-align: center;
+    }
+
+    .label-barcode {
+      margin-top: 4mm;
+    }
+
+    .label-barcode .barcode {
+      width: 100%;
+    }
+  </style>
+</head>
+<body>
+${labels.join("")}
+</body>
+</html>
+`;
+  }
+
+  /*
+   * ^FH lets field data carry _XX hex escapes, so the ZPL
+   * control characters in customer text print literally.
+   */
+  function escapeZpl(value) {
+    return String(value ?? "").replace(
+      /[_^~\\]/g,
+      (character) =>
+        `_${character
+          .charCodeAt(0)
+          .toString(16)
+          .toUpperCase()}`
+    );
+  }
+
+  /*
+   * A text block at x, y in dots; lines wrap within the label
+   * width and "\n" starts a new line.
+   */
+  function zplText(
+    x,
+    y,
+    size,
+    text,
+    { lines = 1, align = "L" } = {}
+  ) {
+    return `^FO${x},${y}^A0N,${size},${size}^FB${
+      ZPL_WIDTH - x * 2
+    },${lines},0,${align}^FH^FD${escapeZpl(text)
+      .split("\n")
+      .join("\\&")}^FS`;
+  }
+
+  function zplLine(y) {
+    return `^FO${ZPL_MARGIN},${y}^GB${
+      ZPL_WIDTH - ZPL_MARGIN * 2
+    },4,4^FS`;
+  }
+
+  function zplBarcode(y, text) {
+    return text
+      ? `^FO${ZPL_MARGIN},${y}^BY3^BCN,140,Y,N,N^FH^FD${escapeZpl(
+          text
+        )}^FS`
+      : "";
+  }
+
+  function zplDetails(label) {
+    return [
+      ["Job", label.jobName],
+      ["Phone", label.phoneNumber],
+      ["Invoice", label.invoiceNumber],
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join("\n");
+  }
+
+  function wrapZplLabel(commands) {
+    return [
+      "^XA",
+      "^CI28",
+      `^PW${ZPL_WIDTH}`,
+      `^LL${ZPL_HEIGHT}`,
+      ...commands.filter(Boolean),
+      "^XZ",
+    ].join("\n");
+  }
+
+  function buildShippingLabelZpl(label) {
+    const from = [
+      ...label.company.addressLines,
+      label.company.phone,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    return wrapZplLabel([
+      zplText(ZPL_MARGIN, 40, 26, "FROM"),
+      zplText(ZPL_MARGIN, 72, 30, label.company.name),
+      zplText(ZPL_MARGIN, 108, 26, from, {
+        lines: 3,
+      }),
+      zplLine(200),
+      zplText(ZPL_MARGIN, 230, 34, "SHIP TO"),
+      zplText(ZPL_MARGIN, 280, 60, label.customer, {
+        lines: 2,
+      }),
+      zplText(
+        ZPL_MARGIN,
+        420,
+        48,
+        label.addressLines.join("\n"),
+        { lines: 5 }
+      ),
+      zplLine(740),
+      zplText(ZPL_MARGIN, 770, 36, zplDetails(label), {
+        lines: 3,
+      }),
+      zplBarcode(930, label.invoiceNumber),
+    ]);
+  }
+
+  function buildCartonLabelZpl(label, number, count) {
+    return wrapZplLabel([
+      zplText(ZPL_MARGIN, 40, 34, label.company.name),
+      zplLine(100),
+      zplText(ZPL_MARGIN, 130, 60, label.customer, {
+        lines: 2,
+      }),
+      zplText(
+        ZPL_MARGIN,
+        270,
+        44,
+        label.addressLines[
+          label.addressLines.length - 1
+        ] || ""
+      ),
+      zplText(ZPL_MARGIN, 350, 36, zplDetails(label), {
+        lines: 3,
+      }),
+      zplLine(520),
+      zplText(
+        ZPL_MARGIN,
+        580,
+        110,
+        `Carton ${number} of ${count}`,
+        { align: "C" }
+      ),
+      zplBarcode(800, label.invoiceNumber),
+    ]);
+  }
+
+  function buildLabelSet(
+    label,
+    { shipping, cartons },
+    renderShipping,
+    renderCarton
+  ) {
+    const labels = shipping
+      ? [renderShipping(label)]
+      : [];
+
+    for (let number = 1; number <= cartons; number++) {
+      labels.push(renderCarton(label, number, cartons));
+    }
+
+    return labels;
+  }
+
+  /*
+   * The carton count starts at the product catalogue's
+   * estimate when every line has units per carton.
+   */
+  function estimateCartons(rows) {
+    if (!hasProductCatalogue()) return 1;
+
+    const load = measureLoad(rows);
+
+    return load.missing.size ||
+      load.unknown.cartons.size
+      ? 1
+      : Math.max(1, load.cartons);
+  }
+
+  function setLabelsButtonText(text) {
+    const button = document.getElementById(
+      "custom-labels-button"
+    );
+
+    if (button) button.textContent = text;
+  }
+
+  function closeLabelsMenu() {
+    document
+      .getElementById("custom-labels-menu")
+      ?.remove();
+  }
+
+  async function openLabelsMenu() {
+    if (
+      document.getElementById("custom-labels-menu")
+    ) {
+      closeLabelsMenu();
+      return;
+    }
+
+    if (STATE.printing) return;
+
+    STATE.printing = true;
+    setLabelsButtonText("⏳ Labels…");
+
+    let data;
+
+    try {
+      data = await readPrintableData();
+    } finally {
+      STATE.printing = false;
+      setLabelsButtonText("🏷️ Labels");
+    }
+
+    if (!data) return;
+
+    const label = buildLabelData(data);
+
+    const menu = document.createElement("div");
+    menu.id = "custom-labels-menu";
+
+    menu.style.cssText = `
+      position: fixed;
+      bottom: 44px;
+      left: calc(14% + 750px);
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      padding: 8px 10px;
+      background: #fff;
+      color: #000;
+      border: 1px solid #999;
+      border-radius: 5px;
+      box-shadow: 0 4px 14px rgba(0,0,0,.2);
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      z-index: 2147483647;
+    `;
+
+    menu.innerHTML = `
+      <label>
+        <input type="checkbox" data-label-shipping checked>
+        Shipping label
+      </label>
+      <label>
+        Carton labels
+        <input type="number" data-label-cartons min="0" max="${MAX_CARTON_LABELS}" step="1" value="${estimateCartons(
+          data.rows
+        )}" style="width:56px;">
+      </label>
+      <div style="display:flex;gap:4px;">
+        <button type="button" data-label-action="print">Print</button>
+        <button type="button" data-label-action="zpl">Download ZPL</button>
+      </div>
+    `;
+
+    const readOptions = () => {
+      const cartons = Number(
+        menu.querySelector("[data-label-cartons]")
+          .value
+      );
+
+      const shipping = menu.querySelector(
+        "[data-label-shipping]"
+      ).checked;
+
+      if (
+        !Number.isInteger(cartons) ||
+        cartons < 0 ||
+        cartons > MAX_CARTON_LABELS
+      ) {
+        alert(
+          `Enter a carton count from 0 to ${MAX_CARTON_LABELS}.`
+        );
+        return null;
+      }
+
+      if (!shipping && !cartons) {
+        alert("There are no labels to print.");
+        return null;
+      }
+
+      return { shipping, cartons };
+    };
+
+    const actions = {
+      print(options) {
+        openPrintWindow(
+          wrapLabelDocument(
+            `Labels ${data.invoiceNumber}`,
+            buildLabelSet(
+              label,
+              options,
+              buildShippingLabel,
+              buildCartonLabel
+            )
+          )
+        );
+      },
+      zpl(options) {
+        downloadFile(
+          buildDocumentFileName(
+            "LABELS",
+            data,
+            "zpl"
+          ),
+          buildLabelSet(
+            label,
+            options,
+            buildShippingLabelZpl,
+            buildCartonLabelZpl
+          ).join("\n"),
+          "text/plain"
+        );
+      },
+    };
+
+    menu.addEventListener("click", (event) => {
+      const button = event.target.closest(
+        "[data-label-action]"
+      );
+
+      if (!button) return;
+
+      const options = readOptions();
+
+      if (!options) return;
+
+      closeLabelsMenu();
+      actions[button.dataset.labelAction](options);
+    });
+
+    document.body.appendChild(menu);
+  }
+
+  // =========================================================
+  // Partial deliveries
+  // =========================================================
+
+  /*
+   * Running delivered totals per transaction, stored as
+   * { lines: { lineKey: delivered }, deliveries: [{ date,
+   * lines }] } so each delivery note starts from what is still
+   * outstanding. The type is part of the key because an
+   * invoice and an estimate can share a txnId.
+   */
+  function getDeliveryHistoryKey(
+    transactionType,
+    invoiceId
+  ) {
+    return `deliveries:${transactionType}:${invoiceId}`;
+  }
+
+  function loadDeliveryHistory(historyKey) {
+    return readStoredJson(historyKey, {
+      lines: {},
+      deliveries: [],
+    });
+  }
+
+  function recordDelivery(historyKey, quantities) {
+    const history = loadDeliveryHistory(historyKey);
+
+    for (const [lineKey, quantity] of Object.entries(
+      quantities
+    )) {
+      history.lines[lineKey] =
+        (history.lines[lineKey] || 0) + quantity;
+    }
+
+    history.deliveries.push({
+      date: new Date().toISOString(),
+      lines: quantities,
+    });
+
+    return writeStoredJson(historyKey, history);
+  }
+
+  /*
+   * Line number plus SKU (or name), so a line that moves or is
+   * replaced on the invoice doesn't inherit another line's
+   * deliveries.
+   */
+  function getDeliveryLineKey(row, position) {
+    const identity =
+      normalizeText(row.sku).toUpperCase() ||
+      normalizeText(row.productName).toLowerCase();
+
+    return `${row.lineIndex ?? position + 1}|${identity}`;
+  }
+
+  /*
+   * Lines that can be delivered: products with a positive
+   * quantity. Category headers and returns are left as they
+   * are.
+   */
+  function buildDeliveryLines(rows, history) {
+    const lines = [];
+
+    rows.forEach((row, position) => {
+      const ordered = Number(row.quantity);
+
+      if (
+        (!normalizeText(row.productName) &&
+          !normalizeText(row.sku)) ||
+        !Number.isFinite(ordered) ||
+        ordered <= 0
+      ) {
+        return;
+      }
+
+      const key = getDeliveryLineKey(
+        row,
+        position
+      );
+
+      const previouslyDelivered =
+        history.lines[key] || 0;
+
+      lines.push({
+        key,
+        row,
+        position,
+        ordered,
+        previouslyDelivered,
+        outstanding: Math.max(
+          0,
+          ordered - previouslyDelivered
+        ),
+      });
+    });
+
+    return lines;
+  }
+
+  /*
+   * Also settles a pending capture, so leaving the invoice
+   * while it is open doesn't leave printing blocked.
+   */
+  function closeDeliveryCapture(result = null) {
+    document
+      .getElementById(
+        "custom-delivery-capture"
+      )
+      ?.remove();
+
+    const resolve =
+      STATE.deliveryCaptureResolve;
+
+    STATE.deliveryCaptureResolve = null;
+    resolve?.(result);
+  }
+
+  /*
+   * Asks for the quantity going out on this delivery, per
+   * line, defaulting to what is outstanding. Resolves with
+   * { lineKey: quantity }, or null when cancelled.
+   */
+  function captureDeliveryQuantities(
+    lines,
+    historyKey
+  ) {
+    closeDeliveryCapture();
+
+    return new Promise((resolve) => {
+      STATE.deliveryCaptureResolve = resolve;
+
+      const overlay =
+        document.createElement("div");
+
+      overlay.id = "custom-delivery-capture";
+
+      overlay.style.cssText = `
+        position: fixed;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0,0,0,.35);
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+        z-index: 2147483647;
+      `;
+
+      const tableRows = lines
+        .map(
+          (line) => `
+            <tr>
+              <td style="padding:3px 6px;">${escapeHtml(
+                line.row.productName ||
+                  line.row.sku
+              )}</td>
+              <td style="padding:3px 6px;">${escapeHtml(
+                line.row.sku
+              )}</td>
+              <td style="padding:3px 6px;text-align:right;">${escapeHtml(
+                formatQuantity(
+                  line.ordered,
+                  line.row.unit
+                )
+              )}</td>
+              <td style="padding:3px 6px;text-align:right;">${escapeHtml(
+                formatQuantity(
+                  line.previouslyDelivered
+                ) || "0"
+              )}</td>
+              <td style="padding:3px 6px;text-align:right;">${escapeHtml(
+                formatQuantity(line.outstanding) ||
+                  "0"
+              )}</td>
+              <td style="padding:3px 6px;text-align:right;">
+                <input type="number" min="0" max="${
+                  line.outstanding
+                }" step="any" value="${
+                  line.outstanding
+                }" data-line-key="${escapeHtml(
+                  line.key
+                )}" style="width:70px;text-align:right;">
+              </td>
+            </tr>
+          `
+        )
+        .join("");
+
+      const deliveryCount =
+        loadDeliveryHistory(historyKey).deliveries
+          .length;
+
+      overlay.innerHTML = `
+        <div style="background:#fff;color:#000;border-radius:5px;padding:12px 14px;width:760px;max-height:85vh;overflow:auto;box-shadow:0 4px 14px rgba(0,0,0,.3);">
+          <div style="font-weight:700;font-size:14px;margin-bottom:4px;">
+            Delivery ${deliveryCount + 1}
+          </div>
+          <p style="margin:0 0 8px;color:#555;">
+            Enter the quantity going out on this delivery. It is
+            added to the delivered totals once the note is
+            printed.
+          </p>
+          <table style="width:100%;border-collapse:collapse;">
+            <thead>
+              <tr style="background:#eee;text-align:left;">
+                <th style="padding:3px 6px;">Product</th>
+                <th style="padding:3px 6px;">SKU</th>
+                <th style="padding:3px 6px;text-align:right;">Ordered</th>
+                <th style="padding:3px 6px;text-align:right;">Previously Delivered</th>
+                <th style="padding:3px 6px;text-align:right;">Outstanding</th>
+                <th style="padding:3px 6px;text-align:right;">This Delivery</th>
+              </tr>
+            </thead>
+            <tbody>${tableRows}</tbody>
+          </table>
+          <div style="display:flex;justify-content:space-between;margin-top:10px;">
+            <button type="button" data-delivery-action="reset" ${
+              deliveryCount ? "" : "disabled"
+            }>Clear delivery history</button>
+            <span>
+              <button type="button" data-delivery-action="cancel">Cancel</button>
+              <button type="button" data-delivery-action="print">Print delivery note</button>
+            </span>
+          </div>
+        </div>
+      `;
+
+      const finish = closeDeliveryCapture;
+
+      overlay.addEventListener("click", (event) => {
+        const action = event.target.closest(
+          "[data-delivery-action]"
+        )?.dataset.deliveryAction;
+
+        if (action === "cancel") {
+          finish(null);
+        }
+
+        if (
+          action === "reset" &&
+          confirm(
+            "Clear every recorded delivery for this invoice?"
+          )
+        ) {
+          removeStored(historyKey);
+
+          finish(null);
+        }
+
+        if (action === "print") {
+          const quantities = {};
+
+          for (const input of overlay.querySelectorAll(
+            "[data-line-key]"
+          )) {
+            const line = lines.find(
+              (candidate) =>
+                candidate.key ===
+                input.dataset.lineKey
+            );
+
+            const value = Math.min(
+              Math.max(
+                tryParseNumber(input.value) ?? 0,
+                0
+              ),
+              line.outstanding
+            );
+
+            if (value > 0) {
+              quantities[line.key] = value;
+            }
+          }
+
+          if (!Object.keys(quantities).length) {
+            alert(
+              "Enter a quantity for at least one line going out on this delivery."
+            );
+
+            return;
+          }
+
+          finish(quantities);
+        }
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  async function printPartialDelivery() {
+    if (STATE.printing) return;
+
+    STATE.printing = true;
+
+    try {
+      const invoiceId = getInvoiceId();
+
+      if (!invoiceId) {
+        alert(
+          "Partial deliveries are tracked per saved transaction. Save it in QuickBooks first."
+        );
+
+        return;
+      }
+
+      const data = await readPrintableData();
+
+      if (!data) return;
+
+      const historyKey = getDeliveryHistoryKey(
+        data.transactionType,
+        invoiceId
+      );
+
+      const lines = buildDeliveryLines(
+        data.rows,
+        loadDeliveryHistory(historyKey)
+      );
+
+      if (!lines.length) {
+        alert(
+          "No lines with a quantity to deliver were found."
+        );
+
+        return;
+      }
+
+      const quantities =
+        await captureDeliveryQuantities(
+          lines,
+          historyKey
+        );
+
+      if (!quantities) return;
+
+      const rows = data.rows.map(
+        (row, position) => {
+          const line = lines.find(
+            (candidate) =>
+              candidate.position === position
+          );
+
+          if (!line) return row;
+
+          const thisDelivery =
+            quantities[line.key] || 0;
+
+          return {
+            ...row,
+            delivery: {
+              thisDelivery,
+              previouslyDelivered:
+                line.previouslyDelivered,
+              outstanding:
+                line.outstanding - thisDelivery,
+            },
+          };
+        }
+      );
+
+      const columns = getLineColumns(
+        "partialDelivery"
+      );
+
+      openPrintWindow(
+        generatePrintLayout(
+          data,
+          wrapProductTable(
+            columns,
+            buildDeliveryNoteRows(
+              withoutCollections(rows),
+              columns
+            )
+          ) +
+            buildCollectionSection(
+              rows,
+              "deliveryNote"
+            ),
+          "partialDelivery"
+        ),
+        () => {
+          /*
+           * Cancelling the print dialog looks the same as
+           * printing from here, so the delivery only counts
+           * once the user says the note went out.
+           */
+          if (
+            !confirm(
+              "Did the delivery note print? OK records these quantities as delivered; Cancel leaves the outstanding quantities as they were."
+            )
+          ) {
+            return;
+          }
+
+          if (!recordDelivery(historyKey, quantities)) {
+            alert(
+              "The delivery note printed, but the delivered quantities could not be saved in this browser."
+            );
+          }
+        }
+      );
+    } finally {
+      STATE.printing = false;
+    }
+  }
+
+  // =========================================================
+  // Scan to pick
+  // =========================================================
+
+  /*
+   * Keyboard-wedge scanners type the code and press Enter.
+   * Keys further apart than this are treated as typing, not a
+   * scan, and clear the buffer.
+   */
+  const SCAN_KEY_GAP_MS = 80;
+
+  function normalizeScanCode(code) {
+    return getSkuMatchKey(
+      normalizeText(code).replace(/\s+/g, "")
+    );
+  }
+
+  /*
+   * One line per grouped pick-slip product, with kits
+   * exploded, in walking order. Returns and zero lines aren't
+   * picked.
+   */
+  function buildPickLines(rows) {
+    return sortByWalkingOrder(
+      groupPickSlipRows(
+        explodeKits(withoutCollections(rows))
+      )
+    )
+      .filter((product) => product.quantity > 0)
+      .map((product) => ({
+        key: getPickSlipGroupKey(product),
+        product,
+        required: product.quantity,
+        picked: 0,
+      }));
+  }
+
+  /*
+   * Grouped and kit quantities are sums of decimals, so 0.1 +
+   * 0.2 has to count as 0.3.
+   */
+  const QUANTITY_EPSILON = 1e-9;
+
+  /*
+   * Lines a scanner can't finish one item at a time: no SKU to
+   * scan, or a part quantity such as 2.5 m². Their picked
+   * quantity is typed in instead.
+   */
+  function isTypedPickLine(line) {
+    return (
+      !normalizeScanCode(line.product.sku) ||
+      !Number.isInteger(line.required)
+    );
+  }
+
+  function getPickStatus(line) {
+    const difference = line.picked - line.required;
+
+    if (difference > QUANTITY_EPSILON) {
+      return "over";
+    }
+
+    if (difference >= -QUANTITY_EPSILON) {
+      return "complete";
+    }
+
+    return line.picked ? "short" : "open";
+  }
+
+  /*
+   * Spreads each product's picked total back over its invoice
+   * lines in order, so the delivery note keeps the invoice's
+   * lines and sections. Any over-pick lands on the last line.
+   */
+  function allocateToRows(rows, pickLines) {
+    const remaining = new Map(
+      pickLines.map((line) => [
+        line.key,
+        line.picked,
+      ])
+    );
+
+    const lastRowIndex = new Map();
+
+    rows.forEach((row, index) => {
+      const key = getPickSlipGroupKey(row);
+
+      if (
+        remaining.has(key) &&
+        Number(row.quantity) > 0
+      ) {
+        lastRowIndex.set(key, index);
+      }
+    });
+
+    return rows.map((row, index) => {
+      const key = getPickSlipGroupKey(row);
+      const quantity = Number(row.quantity);
+
+      if (!remaining.has(key) || !(quantity > 0)) {
+        return row;
+      }
+
+      const available = remaining.get(key);
+
+      const picked =
+        lastRowIndex.get(key) === index
+          ? available
+          : Math.min(quantity, available);
+
+      remaining.set(key, available - picked);
+
+      return { ...row, quantity: picked };
+    });
+  }
+
+  /*
+   * Picked quantities per invoice line. Kits were picked as
+   * components, so a kit line gets the number of complete kits
+   * its components add up to.
+   */
+  function allocatePickedQuantities(
+    rows,
+    pickLines
+  ) {
+    const parts = rows.flatMap((row, position) =>
+      (getKitComponentRows(row) || [row]).map(
+        (partRow) => ({ partRow, position })
+      )
+    );
+
+    const allocated = allocateToRows(
+      parts.map((part) => part.partRow),
+      pickLines
+    );
+
+    return rows.map((row, position) => {
+      const ownParts = allocated.filter(
+        (partRow, index) =>
+          parts[index].position === position
+      );
+
+      if (!ownParts[0]?.perKit) {
+        return ownParts[0] || row;
+      }
+
+      return {
+        ...row,
+        quantity: Math.min(
+          ...ownParts.map((partRow) =>
+            /*
+             * 0.9 / 0.3 is 2.9999999999999996, which must
+             * still count as 3 kits.
+             */
+            Math.floor(
+              partRow.quantity / partRow.perKit +
+                QUANTITY_EPSILON
+            )
+          )
+        ),
+      };
+    });
+  }
+
+  const PICK_STATUS_STYLES = {
+    open: "",
+    short: "background:#fff4d6;",
+    complete: "background:#e3f5df;",
+    over: "background:#fde0e0;",
+  };
+
+  function renderScanPickLines(session) {
+    const tableRows = session.lines
+      .map((line) => {
+        const status = getPickStatus(line);
+
+        return `
+          <tr style="${
+            PICK_STATUS_STYLES[status]
+          }${
+            line.key === session.lastScannedKey
+              ? "outline:2px solid #2ca01c;"
+              : ""
+          }">
+            <td style="padding:3px 6px;">${escapeHtml(
+              line.product.productName ||
+                line.product.sku
+            )}</td>
+            <td style="padding:3px 6px;">${escapeHtml(
+              line.product.sku
+            )}</td>
+            <td style="padding:3px 6px;">${escapeHtml(
+              formatBinLocation(
+                line.product.binLocation
+              )
+            )}</td>
+            <td style="padding:3px 6px;text-align:right;">${escapeHtml(
+              formatQuantity(
+                line.required,
+                line.product.unit
+              )
+            )}</td>
+            <td style="padding:3px 6px;text-align:right;font-weight:700;">${
+              isTypedPickLine(line)
+                ? `<input type="text" inputmode="decimal" data-pick-quantity data-pick-key="${escapeHtml(
+                    line.key
+                  )}" value="${escapeHtml(
+                    formatQuantity(line.picked) || "0"
+                  )}" style="width:64px;text-align:right;font-weight:700;">`
+                : escapeHtml(
+                    formatQuantity(line.picked) || "0"
+                  )
+            }</td>
+            <td style="padding:3px 6px;">${
+              {
+                open: "",
+                short: "Short",
+                complete: "✓",
+                over: "Over-picked",
+              }[status]
+            }</td>
+            <td style="padding:3px 6px;white-space:nowrap;">
+              <button type="button" data-pick-adjust="-1" data-pick-key="${escapeHtml(
+                line.key
+              )}">−</button>
+              <button type="button" data-pick-adjust="1" data-pick-key="${escapeHtml(
+                line.key
+              )}">+</button>
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    session.overlay.querySelector(
+      "[data-pick-lines]"
+    ).innerHTML = tableRows;
+
+    const message = session.overlay.querySelector(
+      "[data-pick-message]"
+    );
+
+    message.textContent = session.message;
+    message.style.color = session.messageIsError
+      ? "#b00020"
+      : "#000";
+  }
+
+  function setScanMessage(
+    session,
+    message,
+    isError = false
+  ) {
+    session.message = message;
+    session.messageIsError = isError;
+  }
+
+  function handleScan(session, rawCode) {
+    const code = normalizeScanCode(rawCode);
+
+    if (!code) return;
+
+    /*
+     * Variants share a SKU, so a scan goes to the first of them
+     * still needing items.
+     */
+    const matches = session.lines.filter(
+      (candidate) =>
+        normalizeScanCode(
+          candidate.product.sku
+        ) === code
+    );
+
+    const line =
+      matches.find(
+        (candidate) =>
+          candidate.picked < candidate.required
+      ) || matches[matches.length - 1];
+
+    if (!line) {
+      session.lastScannedKey = null;
+
+      setScanMessage(
+        session,
+        `Wrong item: ${code} is not on this order.`,
+        true
+      );
+
+      renderScanPickLines(session);
+      return;
+    }
+
+    line.picked++;
+    session.lastScannedKey = line.key;
+
+    if (getPickStatus(line) === "over") {
+      setScanMessage(
+        session,
+        `Over-pick: ${line.product.sku} needs ${formatQuantity(
+          line.required
+        )}, ${formatQuantity(line.picked)} scanned.`,
+        true
+      );
+    } else {
+      setScanMessage(
+        session,
+        `${line.product.sku}: ${formatQuantity(
+          line.picked
+        )} of ${formatQuantity(line.required)}`
+      );
+    }
+
+    renderScanPickLines(session);
+
+    if (
+      session.lines.every(
+        (candidate) =>
+          getPickStatus(candidate) === "complete"
+      )
+    ) {
+      finishScanPick(session);
+    }
+  }
+
+  function closeScanPick() {
+    const session = STATE.scanPick;
+
+    if (!session) return;
+
+    document.removeEventListener(
+      "keydown",
+      session.onKeyDown,
+      true
+    );
+
+    session.overlay.remove();
+    STATE.scanPick = null;
+  }
+
+  /*
+   * Prints the delivery note with what was actually picked.
+   * Short and over-picked lines need a confirmation first.
+   */
+  function finishScanPick(session) {
+    const pickerName = normalizeText(
+      session.overlay.querySelector(
+        "[data-picker-name]"
+      ).value
+    );
+
+    if (!pickerName) {
+      setScanMessage(
+        session,
+        "Enter the picker's name, then press Finish.",
+        true
+      );
+
+      renderScanPickLines(session);
+
+      session.overlay
+        .querySelector("[data-picker-name]")
+        .focus();
+
+      return;
+    }
+
+    const problems = session.lines.filter(
+      (line) =>
+        getPickStatus(line) !== "complete"
+    );
+
+    if (
+      problems.length &&
+      !confirm(
+        `${problems.length} line${
+          problems.length === 1 ? " is" : "s are"
+        } short or over-picked. Print the delivery note with the picked quantities?`
+      )
+    ) {
+      return;
+    }
+
+    const data = {
+      ...session.data,
+      pickedBy: pickerName,
+    };
+
+    const printed = openPrintWindow(
+      generatePrintLayout(
+        data,
+        buildProductTable(
+          allocatePickedQuantities(
+            data.rows,
+            session.lines
+          ),
+          false
+        ),
+        "deliveryNote"
+      )
+    );
+
+    if (printed) {
+      closeScanPick();
+    }
+  }
+
+  async function startScanPick() {
+    if (STATE.printing || STATE.scanPick) return;
+
+    STATE.printing = true;
+
+    let data;
+
+    try {
+      data = await readPrintableData();
+    } finally {
+      STATE.printing = false;
+    }
+
+    if (!data) return;
+
+    const lines = buildPickLines(data.rows);
+
+    if (!lines.length) {
+      alert("There is nothing to pick on this order.");
+      return;
+    }
+
+    const overlay = document.createElement("div");
+    overlay.id = "custom-scan-pick";
+
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0,0,0,.35);
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      z-index: 2147483647;
+    `;
+
+    overlay.innerHTML = `
+      <div style="background:#fff;color:#000;border-radius:5px;padding:12px 14px;width:820px;max-height:88vh;overflow:auto;box-shadow:0 4px 14px rgba(0,0,0,.3);">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;">
+          <strong style="font-size:15px;">Scan to pick: ${escapeHtml(
+            data.invoiceNumber
+          )}</strong>
+          <label>
+            Picked by
+            <input type="text" data-picker-name style="width:160px;">
+          </label>
+        </div>
+        <div data-pick-message style="margin:8px 0;min-height:18px;font-weight:700;"></div>
+        <table style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr style="background:#eee;text-align:left;">
+              <th style="padding:3px 6px;">Product</th>
+              <th style="padding:3px 6px;">SKU</th>
+              <th style="padding:3px 6px;">Location</th>
+              <th style="padding:3px 6px;text-align:right;">Required</th>
+              <th style="padding:3px 6px;text-align:right;">Picked</th>
+              <th style="padding:3px 6px;"></th>
+              <th style="padding:3px 6px;"></th>
+            </tr>
+          </thead>
+          <tbody data-pick-lines></tbody>
+        </table>
+        <div style="display:flex;justify-content:flex-end;gap:6px;margin-top:10px;">
+          <button type="button" data-pick-action="cancel">Cancel</button>
+          <button type="button" data-pick-action="finish">Finish and print</button>
+        </div>
+      </div>
+    `;
+
+    const session = {
+      data,
+      lines,
+      overlay,
+      buffer: "",
+      lastKeyAt: 0,
+      lastScannedKey: null,
+      message: lines.some(isTypedPickLine)
+        ? "Scan each item's barcode. Type the picked quantity for lines without a SKU or with part quantities."
+        : "Scan each item's barcode.",
+      messageIsError: false,
+      onKeyDown: null,
+    };
+
+    /*
+     * Scans are read from the whole page so they still land
+     * here when QBO has focus; typing in the name and quantity
+     * boxes is left alone.
+     */
+    session.onKeyDown = (event) => {
+      if (
+        event.target.closest?.(
+          "[data-picker-name], [data-pick-quantity]"
+        )
+      ) {
+        return;
+      }
+
+      const now = Date.now();
+
+      if (now - session.lastKeyAt > SCAN_KEY_GAP_MS) {
+        session.buffer = "";
+      }
+
+      session.lastKeyAt = now;
+
+      if (event.key === "Enter") {
+        if (session.buffer) {
+          event.preventDefault();
+          event.stopPropagation();
+
+          const code = session.buffer;
+          session.buffer = "";
+
+          handleScan(session, code);
+        }
+
+        return;
+      }
+
+      if (event.key.length === 1) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        session.buffer += event.key;
+      }
+    };
+
+    overlay.addEventListener("click", (event) => {
+      const adjust = event.target.closest(
+        "[data-pick-adjust]"
+      );
+
+      if (adjust) {
+        const line = session.lines.find(
+          (candidate) =>
+            candidate.key ===
+            adjust.dataset.pickKey
+        );
+
+        line.picked = Math.max(
+          0,
+          line.picked +
+            Number(adjust.dataset.pickAdjust)
+        );
+
+        session.lastScannedKey = line.key;
+
+        setScanMessage(
+          session,
+          `${line.product.sku || line.product.productName}: ${
+            formatQuantity(line.picked) || "0"
+          } of ${formatQuantity(line.required)}`
+        );
+
+        renderScanPickLines(session);
+        return;
+      }
+
+      const action = event.target.closest(
+        "[data-pick-action]"
+      )?.dataset.pickAction;
+
+      if (action === "cancel") {
+        closeScanPick();
+      }
+
+      if (action === "finish") {
+        finishScanPick(session);
+      }
+    });
+
+    overlay.addEventListener("change", (event) => {
+      const input = event.target.closest(
+        "[data-pick-quantity]"
+      );
+
+      if (!input) return;
+
+      const line = session.lines.find(
+        (candidate) =>
+          candidate.key === input.dataset.pickKey
+      );
+
+      const { value } = parseQuantity(input.value);
+
+      if (value == null || value < 0) {
+        setScanMessage(
+          session,
+          `Enter a quantity of 0 or more for ${
+            line.product.sku ||
+            line.product.productName
+          }.`,
+          true
+        );
+      } else {
+        line.picked = value;
+
+        setScanMessage(
+          session,
+          `${line.product.sku || line.product.productName}: ${
+            formatQuantity(line.picked) || "0"
+          } of ${formatQuantity(line.required)}`
+        );
+      }
+
+      session.lastScannedKey = line.key;
+      renderScanPickLines(session);
+    });
+
+    STATE.scanPick = session;
+
+    document.addEventListener(
+      "keydown",
+      session.onKeyDown,
+      true
+    );
+
+    document.body.appendChild(overlay);
+    renderScanPickLines(session);
+  }
+
+  // =========================================================
+  // Pick waves
+  // =========================================================
+
+  /*
+   * A pick wave loads each selected invoice in a hidden frame.
+   * The copy of this script running in that frame reads the
+   * invoice the normal way and posts the data back, so every
+   * adapter and harvest rule applies unchanged.
+   */
+  const WAVE_FRAME_NAME = "qbo-delivery-note-wave";
+  const WAVE_RESULT_MESSAGE =
+    "qboDeliveryNote:waveResult";
+
+  function isWaveWorker() {
+    return (
+      window.name === WAVE_FRAME_NAME &&
+      window.parent !== window
+    );
+  }
+
+  function isInvoiceListPage() {
+    return (
+      /\/app\/(invoices|sales)\/?$/i.test(
+        location.pathname
+      ) &&
+      Boolean(
+        queryRegistry(document, "invoiceListRow")
+      )
+    );
+  }
+
+  function readListRowInvoiceId(row) {
+    const link = queryRegistry(
+      row,
+      "invoiceListTransactionLink"
+    )?.element;
+
+    const match = link
+      ?.getAttribute("href")
+      ?.match(/[?&]txnId=([^&]+)/);
+
+    if (match) {
+      return decodeURIComponent(match[1]);
+    }
+
+    for (const attribute of [
+      "data-txn-id",
+      "data-row-id",
+      "data-id",
+    ]) {
+      const value = row.getAttribute(attribute);
+
+      if (/^\d+$/.test(value || "")) {
+        return value;
+      }
+    }
+
+    return null;
+  }
+
+  function getSelectedInvoiceIds() {
+    const rows =
+      queryRegistryEvery(
+        document,
+        "invoiceListRow"
+      )?.elements || [];
+
+    const ids = rows
+      .filter(
+        (row) =>
+          row.getAttribute("aria-selected") ===
+            "true" ||
+          queryRegistry(
+            row,
+            "invoiceListRowCheckbox"
+          )?.element.checked
+      )
+      .map(readListRowInvoiceId)
+      .filter(Boolean);
+
+    return Array.from(new Set(ids));
+  }
+
+  /*
+   * Runs in the hidden frame: waits for the invoice and its
+   * lines to render, then reports back to the list page.
+   */
+  async function runWaveWorker() {
+    const deadline =
+      Date.now() + CONFIG.waveInvoiceTimeoutMs;
+
+    while (
+      Date.now() < deadline &&
+      !(
+        isPrintableViewOpen() &&
+        extractData().rows.length
+      )
+    ) {
+      await sleep(500);
+    }
+
+    let message;
+
+    try {
+      message = {
+        type: WAVE_RESULT_MESSAGE,
+        invoiceId: getInvoiceId(),
+        data: await getStableExtractedData(),
+      };
+    } catch (error) {
+      message = {
+        type: WAVE_RESULT_MESSAGE,
+        invoiceId: getInvoiceId(),
+        error: error.message,
+      };
+    }
+
+    window.parent.postMessage(
+      message,
+      location.origin
+    );
+  }
+
+  function loadInvoiceInFrame(invoiceId) {
+    return new Promise((resolve) => {
+      const frame =
+        document.createElement("iframe");
+
+      frame.name = WAVE_FRAME_NAME;
+      frame.src = `/app/invoice?txnId=${encodeURIComponent(
+        invoiceId
+      )}`;
+
+      /*
+       * Off screen but full size, so QBO lays the line grid
+       * out as it would in a tab.
+       */
+      frame.style.cssText = `
+        position: fixed;
+        left: -10000px;
+        top: 0;
+        width: 1280px;
+        height: 900px;
+        border: 0;
+      `;
+
+      let timer = null;
+
+      const finish = (result) => {
+        clearTimeout(timer);
+        window.removeEventListener(
+          "message",
+          onMessage
+        );
+        frame.remove();
+        resolve(result);
+      };
+
+      const onMessage = (event) => {
+        if (
+          event.origin !== location.origin ||
+          event.source !== frame.contentWindow ||
+          event.data?.type !== WAVE_RESULT_MESSAGE
+        ) {
+          return;
+        }
+
+        finish(
+          event.data.error
+            ? { error: event.data.error }
+            : { data: event.data.data }
+        );
+      };
+
+      window.addEventListener("message", onMessage);
+
+      timer = setTimeout(
+        () =>
+          finish({
+            error: "QuickBooks took too long to load it",
+          }),
+        CONFIG.waveInvoiceTimeoutMs + 15000
+      );
+
+      document.body.appendChild(frame);
+    });
+  }
+
+  function getWaveFailure(data) {
+    if (!data?.rows.length) {
+      return "no line items were found";
+    }
+
+    if (data.missingLines?.length) {
+      return `line ${data.missingLines.join(
+        ", "
+      )} could not be read`;
+    }
+
+    if (data.harvestIncomplete) {
+      return "the line table was too long to scroll through";
+    }
+
+    return "";
+  }
+
+  function setWaveButtonText(text) {
+    const button = document.getElementById(
+      "custom-wave-button"
+    );
+
+    if (button) button.textContent = text;
+  }
+
+  /*
+   * One consolidated table grouped by SKU, each product
+   * followed by the quantity each invoice needs.
+   */
+  function buildPickWaveTable(invoices) {
+    const columns = getLineColumns("pickSlip");
+
+    const invoiceRows = invoices.map((invoice) =>
+      explodeKits(withoutCollections(invoice.rows))
+    );
+
+    const products = sortByWalkingOrder(
+      groupPickSlipRows(invoiceRows.flat())
+    );
+
+    let tableRows = "";
+
+    for (const product of products) {
+      const key = getPickSlipGroupKey(product);
+
+      tableRows += renderProductRow(
+        product,
+        columns,
+        "wave-product-row"
+      );
+
+      invoices.forEach((invoice, index) => {
+        const quantity = invoiceRows[index]
+          .filter(
+            (row) =>
+              getPickSlipGroupKey(row) === key &&
+              Number.isFinite(Number(row.quantity))
+          )
+          .reduce(
+            (total, row) =>
+              total + Number(row.quantity),
+            0
+          );
+
+        if (!quantity) return;
+
+        tableRows += renderLabelledQuantityRow(
+          `${invoice.invoiceNumber} · ${invoice.customerName}`,
+          formatQuantity(quantity, product.unit),
+          columns,
+          "wave-breakdown-row"
+        );
+      });
+    }
+
+    return (
+      buildGroupingWarnings(invoiceRows.flat()) +
+      wrapProductTable(columns, tableRows)
+    );
+  }
+
+  function buildPickWavePage(invoices) {
+    const invoiceList = invoices
+      .map(
+        (invoice) =>
+          `<li>${escapeHtml(
+            invoice.invoiceNumber
+          )}: ${escapeHtml(
+            invoice.customerName
+          )}</li>`
+      )
+      .join("");
+
+    return `
+  <div class="maincontainer">
+    <h2 class="delivery-title">Pick Wave</h2>
+
+    <div class="wave-summary">
+      ${escapeHtml(
+        new Date().toLocaleString(
+          CONFIG.payloadDateLocale
+        )
+      )}: ${invoices.length} invoice${
+        invoices.length === 1 ? "" : "s"
+      }
+      <ul class="wave-invoices">${invoiceList}</ul>
+    </div>
+
+    <div class="products-section">
+      ${buildPickWaveTable(invoices)}
+    </div>
+
+    <div class="signoff">
+      <span>
+        Picked By: _______________
+      </span>
+
+      <span>
+        Checked By: _______________
+      </span>
+    </div>
+  </div>
+    `;
+  }
+
+  async function startPickWave() {
+    if (STATE.printing) return;
+
+    const invoiceIds = getSelectedInvoiceIds();
+
+    if (!invoiceIds.length) {
+      alert(
+        "Tick the invoices to pick in the list first."
+      );
+
+      return;
+    }
+
+    if (!confirmDefaultBranding()) return;
+
+    STATE.printing = true;
+
+    try {
+      const invoices = [];
+      const failures = [];
+
+      for (const [index, invoiceId] of invoiceIds.entries()) {
+        setWaveButtonText(
+          `Loading ${index + 1} of ${invoiceIds.length}…`
+        );
+
+        const result =
+          await loadInvoiceInFrame(invoiceId);
+
+        const failure =
+          result.error ||
+          getWaveFailure(result.data);
+
+        if (failure) {
+          failures.push(
+            `${
+              result.data?.invoiceNumber ||
+              `Transaction ${invoiceId}`
+            }: ${failure}`
+          );
+
+          continue;
+        }
+
+        invoices.push(result.data);
+      }
+
+      if (!invoices.length) {
+        alert(
+          `None of the selected invoices could be read.\n\n${failures.join(
+            "\n"
+          )}`
+        );
+
+        return;
+      }
+
+      if (
+        failures.length &&
+        !confirm(
+          `These invoices could not be read and will be left out:\n\n${failures.join(
+            "\n"
+          )}\n\nPrint the other ${invoices.length}?`
+        )
+      ) {
+        return;
+      }
+
+      const deliveryNotes = invoices.map(
+        (data) =>
+          buildDocumentPage(
+            data,
+            buildProductTable(data.rows, false),
+            "deliveryNote"
+          )
+      );
+
+      openPrintWindow(
+        wrapPrintDocument(
+          `Pick Wave (${invoices.length})`,
+          [
+            buildPickWavePage(invoices),
+            ...deliveryNotes,
+          ].join("")
+        )
+      );
+    } finally {
+      STATE.printing = false;
+      setWaveButtonText("📋 Pick Wave");
+    }
+  }
+
+  function refreshWaveButton() {
+    const existing = document.getElementById(
+      "custom-wave-button"
+    );
+
+    if (!isInvoiceListPage()) {
+      existing?.remove();
+      return;
+    }
+
+    if (existing) return;
+
+    document.body.appendChild(
+      createButton(
+        "custom-wave-button",
+        "📋 Pick Wave",
+        startPickWave,
+        "14%"
+      )
+    );
+  }
+
+  // =========================================================
+  // Diagnostics
+  // =========================================================
+
+  function resetDiagnostics() {
+    STATE.diagnostics = new Map();
+  }
+
+  function recordDiagnostic(
+    field,
+    matchedSelector,
+    value
+  ) {
+    STATE.diagnostics.set(field, {
+      matchedSelector,
+      value: normalizeText(value),
+    });
+  }
+
+  function recordPayloadDiagnostics(data) {
+    const fields = {
+      Customer: data.customerName,
+      "Billing address": data.billingAddress,
+      "Shipping address":
+        data.shippingAddress,
+      Number: data.invoiceNumber,
+      Date: data.invoiceDate,
+      ...Object.fromEntries(
+        Object.entries(SHIPPING_FIELDS).map(
+          ([key, field]) => [
+            field.label,
+            data[key],
+          ]
+        )
+      ),
+      ...data.customFields,
+      "Line table": `${data.rows.length} rows`,
+    };
+
+    for (const [field, value] of Object.entries(
+      fields
+    )) {
+      recordDiagnostic(
+        field,
+        "captured payload",
+        value === "N/A" ? "" : value
+      );
+    }
+  }
+
+  function removeDiagnosticsPanel() {
+    document
+      .getElementById(
+        "custom-diagnostics-panel"
+      )
+      ?.remove();
+  }
+
+  /*
+   * Read-only overlay listing, for each extracted field, which
+   * registry entry matched and what it produced. Only shown
+   * while CONFIG.debug is on.
+   */
+  function renderDiagnosticsPanel(data) {
+    if (!CONFIG.debug) {
+      removeDiagnosticsPanel();
+      return;
+    }
+
+    let panel = document.getElementById(
+      "custom-diagnostics-panel"
+    );
+
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "custom-diagnostics-panel";
+
+      panel.style.cssText = `
+        position: fixed;
+        top: 60px;
+        right: 12px;
+        width: 420px;
+        max-height: 70vh;
+        overflow: auto;
+        padding: 8px 10px;
+        background: rgba(255,255,255,.97);
+        color: #000;
+        border: 1px solid #999;
+        border-radius: 5px;
+        box-shadow: 0 4px 14px rgba(0,0,0,.2);
+        font-family: Arial, sans-serif;
+        font-size: 11px;
+        line-height: 1.35;
+        z-index: 2147483647;
+      `;
+
+      panel.addEventListener("click", (event) => {
+        if (
+          event.target.closest(
+            "[data-diagnostics-toggle]"
+          )
+        ) {
+          STATE.diagnosticsCollapsed =
+            !STATE.diagnosticsCollapsed;
+
+          refreshDiagnostics();
+        }
+      });
+
+      document.body.appendChild(panel);
+    }
+
+    const entries = Array.from(
+      STATE.diagnostics.entries()
+    );
+
+    const emptyFields = entries
+      .filter(([, entry]) => !entry.value)
+      .map(([field]) => field);
+
+    const tableRows = entries
+      .map(([field, entry]) => {
+        const empty = !entry.value;
+
+        return `
+          <tr style="${
+            empty ? "color:#b00020;" : ""
+          }">
+            <td style="padding:2px 4px;font-weight:700;vertical-align:top;">${escapeHtml(
+              field
+            )}</td>
+            <td style="padding:2px 4px;vertical-align:top;">${escapeHtml(
+              entry.matchedSelector ||
+                "no selector matched"
+            )}</td>
+            <td style="padding:2px 4px;vertical-align:top;white-space:pre-line;">${escapeHtml(
+              entry.value || "(empty)"
+            )}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    panel.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;font-weight:700;">
+        <span>Delivery Note diagnostics (${escapeHtml(
+          data?.dataSource || "page"
+        )})</span>
+        <button type="button" data-diagnostics-toggle style="font-size:11px;">${
+          STATE.diagnosticsCollapsed
+            ? "Show"
+            : "Hide"
+        }</button>
+      </div>
+      <div style="margin:4px 0;">
+        Empty: ${escapeHtml(
+          emptyFields.join(", ") || "none"
+        )}
+      </div>
+      ${
+        STATE.diagnosticsCollapsed
+          ? ""
+          : `
+        <table style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr style="text-align:left;background:#eee;">
+              <th style="padding:2px 4px;">Field</th>
+              <th style="padding:2px 4px;">Selector</th>
+              <th style="padding:2px 4px;">Value</th>
+            </tr>
+          </thead>
+          <tbody>${tableRows}</tbody>
+        </table>
+      `
+      }
+    `;
+  }
+
+  function refreshDiagnostics() {
+    if (!CONFIG.debug) return;
+
+    renderDiagnosticsPanel(extractData());
+  }
+
+  // =========================================================
+  // Tools panel
+  // =========================================================
+
+  /*
+   * Sections shown in the Tools panel, in order. render gets
+   * the section body and fills it; it is called again after
+   * every import so counts stay current.
+   */
+  const TOOLS_SECTIONS = [
+    {
+      id: "bin-locations",
+      title: "Bin locations",
+      render: renderBinLocationsTool,
+    },
+    {
+      id: "sku-aliases",
+      title: "SKU aliases",
+      render: renderSkuAliasesTool,
+    },
+    {
+      id: "bill-of-materials",
+      title: "Kits (bill of materials)",
+      render: renderBillOfMaterialsTool,
+    },
+    {
+      id: "product-catalogue",
+      title: "Product catalogue",
+      render: renderProductCatalogueTool,
+    },
+    {
+      id: "branding",
+      title: "Branding",
+      render: renderBrandingTool,
+    },
+    {
+      id: "print-templates",
+      title: "Print templates",
+      render: renderPrintTemplatesTool,
+    },
+  ];
+
+  function chooseFile(accept) {
+    return new Promise((resolve) => {
+      const input =
+        document.createElement("input");
+
+      input.type = "file";
+      input.accept = accept;
+
+      input.addEventListener("change", () =>
+        resolve(input.files?.[0] || null)
+      );
+
+      input.click();
+    });
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(
+      content instanceof Blob
+        ? content
+        : new Blob([content], { type })
+    );
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function importFromFile(
+    accept,
+    importText
+  ) {
+    const file = await chooseFile(accept);
+
+    if (!file) return null;
+
+    try {
+      return importText(await file.text());
+    } catch (error) {
+      warn("Import failed", file.name, error);
+
+      alert(
+        `Could not import ${file.name}: ${error.message}`
+      );
+
+      return null;
+    }
+  }
+
+  function renderBinLocationsTool(body) {
+    const count = Object.keys(
+      loadBinLocations()
+    ).length;
+
+    body.innerHTML = `
+      <p style="margin:0 0 6px;">
+        ${
+          count
+            ? `${count} SKUs have a bin. Pick slips are sorted by walking order.`
+            : "No bin table imported. Pick slips follow invoice order."
+        }
+      </p>
+      <p style="margin:0 0 6px;color:#555;">
+        CSV with headers SKU, Aisle, Bay, Bin and an optional
+        Sequence. Importing replaces the current table.
+      </p>
+      <button type="button" data-tool-action="import">Import CSV…</button>
+      <button type="button" data-tool-action="clear" ${
+        count ? "" : "disabled"
+      }>Clear</button>
+    `;
+
+    body
+      .querySelector('[data-tool-action="import"]')
+      .addEventListener("click", async () => {
+        const result = await importFromFile(
+          ".csv,text/csv",
+          importBinLocationsCsv
+        );
+
+        if (!result) return;
+
+        if (!result.count) {
+          alert(
+            "No bin locations were found. Check the file has SKU and Aisle, Bay or Bin columns."
+          );
+          return;
+        }
+
+        log("Imported bin locations", result);
+
+        renderBinLocationsTool(body);
+      });
+
+    body
+      .querySelector('[data-tool-action="clear"]')
+      .addEventListener("click", () => {
+        removeStored(BIN_LOCATIONS_KEY);
+        renderBinLocationsTool(body);
+      });
+  }
+
+  function renderSkuAliasesTool(body) {
+    const count = Object.keys(
+      loadSkuAliases()
+    ).length;
+
+    body.innerHTML = `
+      <p style="margin:0 0 6px;">
+        ${
+          count
+            ? `${count} alternative SKUs are grouped under their main SKU.`
+            : "No alias table imported."
+        }
+      </p>
+      <p style="margin:0 0 6px;color:#555;">
+        CSV with headers Alias and SKU. Importing replaces the
+        current table.
+      </p>
+      <button type="button" data-tool-action="import">Import CSV…</button>
+      <button type="button" data-tool-action="clear" ${
+        count ? "" : "disabled"
+      }>Clear</button>
+    `;
+
+    body
+      .querySelector('[data-tool-action="import"]')
+      .addEventListener("click", async () => {
+        const result = await importFromFile(
+          ".csv,text/csv",
+          importSkuAliasesCsv
+        );
+
+        if (!result) return;
+
+        if (!result.count) {
+          alert(
+            "No aliases were found. Check the file has Alias and SKU columns."
+          );
+          return;
+        }
+
+        log("Imported SKU aliases", result);
+
+        renderSkuAliasesTool(body);
+      });
+
+    body
+      .querySelector('[data-tool-action="clear"]')
+      .addEventListener("click", () => {
+        removeStored(SKU_ALIASES_KEY);
+        STATE.skuAliases = null;
+        renderSkuAliasesTool(body);
+      });
+  }
+
+  function renderBillOfMaterialsTool(body) {
+    const count = Object.keys(
+      loadBillOfMaterials()
+    ).length;
+
+    body.innerHTML = `
+      <p style="margin:0 0 6px;">
+        ${
+          count
+            ? `${count} kits are picked as their components.`
+            : "No bill of materials imported. Kits are picked as one line."
+        }
+      </p>
+      <p style="margin:0 0 6px;color:#555;">
+        CSV with headers Kit, Component, Quantity and optional
+        Name and Unit, or the same as JSON. Importing replaces
+        the current table.
+      </p>
+      <button type="button" data-tool-action="import">Import CSV or JSON…</button>
+      <button type="button" data-tool-action="clear" ${
+        count ? "" : "disabled"
+      }>Clear</button>
+    `;
+
+    body
+      .querySelector('[data-tool-action="import"]')
+      .addEventListener("click", async () => {
+        const result = await importFromFile(
+          ".csv,.json,text/csv,application/json",
+          importBillOfMaterials
+        );
+
+        if (!result) return;
+
+        if (!result.count) {
+          alert(
+            "No kits were found. Check the file has Kit, Component and Quantity columns."
+          );
+          return;
+        }
+
+        log("Imported bill of materials", result);
+
+        renderBillOfMaterialsTool(body);
+      });
+
+    body
+      .querySelector('[data-tool-action="clear"]')
+      .addEventListener("click", () => {
+        removeStored(BILL_OF_MATERIALS_KEY);
+        STATE.billOfMaterials = null;
+        renderBillOfMaterialsTool(body);
+      });
+  }
+
+  function renderProductCatalogueTool(body) {
+    const count = Object.keys(
+      loadProductCatalogue()
+    ).length;
+
+    body.innerHTML = `
+      <p style="margin:0 0 6px;">
+        ${
+          count
+            ? `${count} SKUs have a weight or size. Documents show weights and a load estimate.`
+            : "No product catalogue imported."
+        }
+      </p>
+      <p style="margin:0 0 6px;color:#555;">
+        CSV with headers SKU, Weight (kg), Length (cm), Width
+        (cm), Height (cm) and Units per carton. Importing
+        replaces the current catalogue.
+      </p>
+      <button type="button" data-tool-action="import">Import CSV…</button>
+      <button type="button" data-tool-action="clear" ${
+        count ? "" : "disabled"
+      }>Clear</button>
+    `;
+
+    body
+      .querySelector('[data-tool-action="import"]')
+      .addEventListener("click", async () => {
+        const result = await importFromFile(
+          ".csv,text/csv",
+          importProductCatalogueCsv
+        );
+
+        if (!result) return;
+
+        if (!result.count) {
+          alert(
+            "No products were found. Check the file has SKU and Weight or size columns."
+          );
+          return;
+        }
+
+        log("Imported product catalogue", result);
+
+        renderProductCatalogueTool(body);
+      });
+
+    body
+      .querySelector('[data-tool-action="clear"]')
+      .addEventListener("click", () => {
+        removeStored(PRODUCT_CATALOGUE_KEY);
+        STATE.productCatalogue = null;
+        renderProductCatalogueTool(body);
+      });
+  }
+
+  function renderBrandingTool(body) {
+    const company = getCurrentCompany();
+    const profiles = loadBrandingProfiles();
+    const active = getActiveBranding();
+
+    body.innerHTML = `
+      <p style="margin:0 0 6px;">
+        Signed in to ${escapeHtml(
+          company.name ||
+            company.id ||
+            "a company not detected yet"
+        )}${
+          company.name && company.id
+            ? ` (${escapeHtml(company.id)})`
+            : ""
+        }. Documents show ${escapeHtml(
+          active.name
+        )}${
+          active === CONFIG.defaultBranding
+            ? " (built-in)"
+            : ""
+        }.
+      </p>
+      <ul style="margin:0 0 6px;padding-left:18px;">
+        ${profiles
+          .map(
+            (profile, index) => `
+              <li>
+                ${escapeHtml(profile.name)}
+                <span style="color:#555;">${escapeHtml(
+                  (profile.companies || []).join(", ") ||
+                    "no company set"
+                )}</span>
+                <button type="button" data-profile-edit="${index}">Edit</button>
+                <button type="button" data-profile-delete="${index}">Delete</button>
+              </li>
+            `
+          )
+          .join("")}
+      </ul>
+      <button type="button" data-tool-action="add">Add profile…</button>
+      <div data-profile-form></div>
+    `;
+
+    body
+      .querySelector('[data-tool-action="add"]')
+      .addEventListener("click", () =>
+        renderBrandingForm(body, null)
+      );
+
+    body
+      .querySelectorAll("[data-profile-edit]")
+      .forEach((button) =>
+        button.addEventListener("click", () =>
+          renderBrandingForm(
+            body,
+            Number(button.dataset.profileEdit)
+          )
+        )
+      );
+
+    body
+      .querySelectorAll("[data-profile-delete]")
+      .forEach((button) =>
+        button.addEventListener("click", () => {
+          const index = Number(
+            button.dataset.profileDelete
+          );
+
+          if (
+            !confirm(
+              `Delete the ${profiles[index].name} profile?`
+            )
+          ) {
+            return;
+          }
+
+          profiles.splice(index, 1);
+          saveBrandingProfiles(profiles);
+          renderBrandingTool(body);
+        })
+      );
+  }
+
+  /*
+   * index is null for a new profile, which starts as a copy
+   * of the details printed now and is tied to this company.
+   */
+  function renderBrandingForm(body, index) {
+    const profiles = loadBrandingProfiles();
+    const company = getCurrentCompany();
+
+    const profile =
+      index == null
+        ? {
+            ...buildCompanyContext(
+              getActiveBranding()
+            ),
+            companies: [
+              company.id || company.name,
+            ].filter(Boolean),
+          }
+        : profiles[index];
+
+    let logo = profile.logo || "";
+
+    const form = body.querySelector(
+      "[data-profile-form]"
+    );
+
+    const field = (name, label, value) => `
+      <label style="display:block;margin-top:4px;">
+        ${label}<br>
+        <input type="text" data-profile-field="${name}" value="${escapeHtml(
+          value || ""
+        )}" style="width:100%;">
+      </label>
+    `;
+
+    form.innerHTML = `
+      <div style="margin-top:8px;padding:6px;border:1px solid #ddd;">
+        ${field("name", "Trading name", profile.name)}
+        <label style="display:block;margin-top:4px;">
+          Address (one line each)<br>
+          <textarea data-profile-field="addressLines" rows="3" style="width:100%;">${escapeHtml(
+            (profile.addressLines || []).join("\n")
+          )}</textarea>
+        </label>
+        ${field("phone", "Phone", profile.phone)}
+        ${field("email", "Email", profile.email)}
+        ${field("abn", "ABN", profile.abn)}
+        <label style="display:block;margin-top:4px;">
+          Accent colour
+          <input type="color" data-profile-field="accentColour" value="${escapeHtml(
+            profile.accentColour || "#000000"
+          )}">
+        </label>
+        <div style="margin-top:4px;">
+          Logo
+          <img data-profile-logo alt="" style="max-height:40px;max-width:160px;vertical-align:middle;">
+          <button type="button" data-profile-action="logo">Upload…</button>
+          <button type="button" data-profile-action="remove-logo">Remove</button>
+        </div>
+        ${field(
+          "companies",
+          "QBO company IDs or names, comma separated",
+          (profile.companies || []).join(", ")
+        )}
+        <div style="margin-top:6px;">
+          <button type="button" data-profile-action="save">Save profile</button>
+          <button type="button" data-profile-action="cancel">Cancel</button>
+        </div>
+      </div>
+    `;
 
-    .company-info div:first-child {
-      font-weight: 700;
-    }
+    const logoPreview = form.querySelector(
+      "[data-profile-logo]"
+    );
 
-    .received-box {
-      width: 230px;
-      font-size: 10px;
-    }
+    const showLogo = () => {
+      logoPreview.src = logo;
+      logoPreview.style.display = logo
+        ? ""
+        : "none";
+    };
 
-    .received-title {
-      font-weight: 700;
-      margin-bottom: 2px;
-    }
+    showLogo();
 
-    .received-box textarea {
-      display: block;
-      width: 100%;
-      resize: none;
-      padding: 3px;
-      font-family: Arial, sans-serif;
-      font-size: 11px;
-      border: 1px solid #777;
-      border-bottom: 0;
-    }
+    const readField = (name) =>
+      form.querySelector(
+        `[data-profile-field="${name}"]`
+      ).value;
 
-    .received-box textarea:last-child {
-      border-bottom: 1px solid #777;
-    }
+    const actions = {
+      async logo() {
+        const file = await chooseFile("image/*");
 
-    .delivery-title {
-      margin: 17px 0 10px;
-      font-size: 20px;
-      line-height: 1;
-    }
+        if (!file) return;
 
-    .address-grid {
-      display: grid;
-      grid-template-columns:
-        1fr 1fr 0.75fr;
-      gap: 28px;
-      width: 100%;
-    }
+        if (file.size > MAX_LOGO_BYTES) {
+          alert(
+            `${file.name} is too large. Use a logo under ${Math.round(
+              MAX_LOGO_BYTES / 1024
+            )} KB.`
+          );
+          return;
+        }
 
-    .address-heading,
-    .order-heading {
-      font-weight: 700;
-      margin-bottom: 7px;
-    }
+        logo = await readFileAsDataUrl(file);
+        showLogo();
+      },
+      "remove-logo"() {
+        logo = "";
+        showLogo();
+      },
+      save() {
+        const name = normalizeText(
+          readField("name")
+        );
 
-    .address-value {
-      white-space: pre-line;
-      min-height: 65px;
-    }
+        if (!name) {
+          alert("Enter a trading name.");
+          return;
+        }
 
-    .invoice-summary {
-      line-height: 1.4;
-    }
+        const accentColour = readField(
+          "accentColour"
+        );
 
-    .separator {
-      border: 0;
-      border-top: 1px solid #bbb;
-      margin: 10px 0;
-    }
+        const saved = {
+          name,
+          addressLines: normalizeMultiline(
+            readField("addressLines")
+          )
+            .split("\n")
+            .map(normalizeText)
+            .filter(Boolean),
+          phone: normalizeText(readField("phone")),
+          email: normalizeText(readField("email")),
+          abn: normalizeText(readField("abn")),
+          logo,
+          accentColour: /^#[0-9a-f]{6}$/i.test(
+            accentColour
+          )
+            ? accentColour
+            : "#000000",
+          companies: readField("companies")
+            .split(",")
+            .map(normalizeText)
+            .filter(Boolean),
+        };
+
+        if (index == null) {
+          profiles.push(saved);
+        } else {
+          profiles[index] = saved;
+        }
 
-    .order-grid {
-      display: grid;
-      grid-template-columns:
-        1fr 1fr 0.6fr;
-      gap: 28px;
-      padding: 2px 0 9px;
-      align-items: start;
-    }
+        try {
+          saveBrandingProfiles(profiles);
+        } catch (error) {
+          alert(error.message);
+          return;
+        }
 
-    
-.order-grid > div:nth-child(1) {
-    text-align: left;
-}
+        log("Saved branding profile", name);
 
+        renderBrandingTool(body);
+      },
+      cancel() {
+        form.innerHTML = "";
+      },
+    };
 
-.order-grid > div:nth-child(2) {
-    text-align: left;         
-    justify-self: center;      
-    width: 100%;
-    max-width: 420px;
-}
+    // A fresh element each time, so listeners never stack.
+    form.firstElementChild.addEventListener(
+      "click",
+      (event) => {
+        const button = event.target.closest(
+          "[data-profile-action]"
+        );
 
+        if (button) {
+          actions[button.dataset.profileAction]();
+        }
+      }
+    );
+  }
 
-.order-grid > div:nth-child(3) {
-    text-align: right;         
-    justify-self: end;
-}
+  function renderPrintTemplatesTool(body) {
+    const templates = loadTemplates();
+    const custom = Object.keys(
+      TEMPLATE_DOCUMENT_KINDS
+    ).filter((kind) => templates[kind]);
+
+    body.innerHTML = `
+      <p style="margin:0 0 6px;">
+        ${
+          custom.length
+            ? `Custom layout for ${custom
+                .map((kind) =>
+                  TEMPLATE_DOCUMENT_KINDS[kind].toLowerCase()
+                )
+                .join(", ")}.`
+            : "All documents use the standard layout."
+        }
+      </p>
+      <p style="margin:0 0 6px;color:#555;">
+        Edit the page layout with placeholders and a live
+        preview of this invoice.
+      </p>
+      <button type="button" data-tool-action="edit">Edit templates…</button>
+      <button type="button" data-tool-action="clear" ${
+        custom.length ? "" : "disabled"
+      }>Reset all</button>
+    `;
 
-    .order-value {
-      min-height: 17px;
-    }
+    body
+      .querySelector('[data-tool-action="edit"]')
+      .addEventListener("click", openTemplateEditor);
 
-    .products-section {
-      margin-top: 8px;
-      border-top: 1px solid #000;
-      padding-top: 12px;
-    }
+    body
+      .querySelector('[data-tool-action="clear"]')
+      .addEventListener("click", () => {
+        if (
+          !confirm(
+            "Reset every document to the standard layout?"
+          )
+        ) {
+          return;
+        }
 
-    .product-table {
-      width: 100%;
-      border-collapse: collapse;
-      table-layout: fixed;
-    }
+        removeStored(TEMPLATES_KEY);
+        renderPrintTemplatesTool(body);
+      });
+  }
 
-    .product-table th {
-      background: #d2d2d2;
-      padding: 8px;
-      font-weight: 700;
-      text-align: left;
-    }
+  function closeToolsPanel() {
+    document
+      .getElementById("custom-tools-panel")
+      ?.remove();
+  }
 
-    .product-table th:nth-child(1),
-    .product-table td:nth-child(1) {
-      width: 77%;
+  function openToolsPanel() {
+    if (
+      document.getElementById(
+        "custom-tools-panel"
+      )
+    ) {
+      closeToolsPanel();
+      return;
     }
 
-    .product-table th:nth-child(2),
-    .product-table td:nth-child(2) {
-      width: 15%;
-    }
+    const panel = document.createElement("div");
+    panel.id = "custom-tools-panel";
 
-    .product-table th:nth-child(3),
-    .product-table td:nth-child(3) {
-      width: 8%;
-    }
+    panel.style.cssText = `
+      position: fixed;
+      bottom: 44px;
+      left: 14%;
+      width: 440px;
+      max-height: 75vh;
+      overflow: auto;
+      padding: 10px 12px;
+      background: #fff;
+      color: #000;
+      border: 1px solid #999;
+      border-radius: 5px;
+      box-shadow: 0 4px 14px rgba(0,0,0,.2);
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      line-height: 1.4;
+      z-index: 2147483647;
+    `;
 
-    .product-table td {
-      padding: 6px 8px;
-      vertical-align: top;
-    }
+    panel.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;font-weight:700;font-size:14px;">
+        <span>Delivery Note tools</span>
+        <button type="button" data-tools-close>Close</button>
+      </div>
+    `;
 
-    .quantity-heading,
-    .quantity-cell {
-      text-align: right !important;
-    }
+    panel
+      .querySelector("[data-tools-close]")
+      .addEventListener("click", closeToolsPanel);
 
-    .category-row td {
-      font-weight: 400;
-      padding-top: 8px;
-      padding-bottom: 3px;
+    for (const section of TOOLS_SECTIONS) {
+      const wrapper =
+        document.createElement("section");
+
+      wrapper.dataset.toolSection = section.id;
+      wrapper.style.cssText = `
+        margin-top: 10px;
+        padding-top: 8px;
+        border-top: 1px solid #ddd;
+      `;
+
+      const heading =
+        document.createElement("h3");
+
+      heading.textContent = section.title;
+      heading.style.cssText =
+        "margin:0 0 6px;font-size:13px;";
+
+      const body = document.createElement("div");
+
+      wrapper.append(heading, body);
+      panel.appendChild(wrapper);
+
+      section.render(body);
     }
 
-    .signoff {
-      display: flex;
-      justify-content: space-between;
-      border-top: 1px solid #ccc;
-      margin-top: 10px;
-      padding-top: 15px;
-      font-size: 12px;
+    document.body.appendChild(panel);
+  }
+
+  // =========================================================
+  // Template editor
+  // =========================================================
+
+  const TEMPLATE_PREVIEW_DELAY_MS = 300;
+
+  /*
+   * Placeholders listed beside the editor. Custom fields and
+   * rows follow the current invoice, so they are read from
+   * the preview context instead.
+   */
+  const TEMPLATE_HELP = [
+    ["{{invoiceNumber}}", "Invoice, estimate or order number"],
+    ["{{invoiceDate}}", "Transaction date"],
+    ["{{billingAddress}}", "Bill-to address"],
+    ["{{shippingAddress}}", "Ship-to address"],
+    ["{{shipVia}}", "Ship via"],
+    ["{{pickedBy}}", "Picker name after Scan Pick"],
+    ["{{printedAt}}", "Date and time printed"],
+    ["{{company.name}}", "Trading name from the branding profile"],
+    ["{{#each company.addressLines}}{{this}}{{/each}}", "Company address lines"],
+    ["{{company.phone}} {{company.email}} {{company.abn}}", "Company contact details"],
+    ["{{company.logo}}", "Logo, as an <img> src"],
+    ["{{company.accentColour}}", "Accent colour, e.g. #1a5e9a"],
+    ["{{document.title}}", "Delivery Note, Pick Slip, …"],
+    ["{{document.numberLabel}}", "INVOICE NO., …"],
+    ["{{document.partyLabel}}", "INVOICE TO, …"],
+    ["{{customFields.JOB NAME}}", "A custom field by label"],
+    ["{{#each customFieldList}}{{label}}: {{value}}{{/each}}", "Every custom field"],
+    ["{{#each rows}}{{sku}} {{productName}} {{quantity}}{{/each}}", "Every invoice line"],
+    ["{{{productTable}}}", "The standard line table"],
+    ["{{{orderGrid}}}", "The standard order fields"],
+    ["{{{numberBarcode}}}", "Barcode of the number"],
+    ["{{#if field}}…{{else}}…{{/if}}", "Only when a field is filled"],
+    ['<template class="page-header">…</template>', "Header repeated from page 2 on"],
+  ];
+
+  function buildPreviewProductTable(
+    rows,
+    documentKind
+  ) {
+    if (documentKind !== "partialDelivery") {
+      return buildProductTable(
+        rows,
+        documentKind === "pickSlip"
+      );
     }
 
-    @media print {
-      @page {
-        size: portrait;
-        margin: 8mm;
-      }
+    const columns = getLineColumns(
+      "partialDelivery"
+    );
 
-      .maincontainer {
-        padding: 0;
-      }
+    return (
+      wrapProductTable(
+        columns,
+        buildDeliveryNoteRows(
+          withoutCollections(rows),
+          columns
+        )
+      ) +
+      buildCollectionSection(rows, "deliveryNote")
+    );
+  }
 
-      .product-table thead {
-        display: table-header-group;
-      }
+  function closeTemplateEditor() {
+    const editor = STATE.templateEditor;
 
-      .product-table tr {
-        break-inside: avoid;
-      }
-    }
-  </style>
-</head>
+    if (!editor) return;
 
-<body>
-  <div class="maincontainer">
-    <div class="top-header">
-      <div class="company-info">
-        <div>
-          Adelaide Bathroom &amp;
-          Kitchen Supplies
-        </div>
-        <div>
-          2/831 Lower North East Rd,
-          Dernancourt
-        </div>
-        <div>(08) 7006 5181</div>
-        <div>
-          Sales@abksupplies.com.au
-        </div>
-        <div>ABN 13 695 032 804</div>
-      </div>
+    clearTimeout(editor.previewTimer);
+    editor.overlay.remove();
+    STATE.templateEditor = null;
+  }
 
-      <div class="received-box">
-        <div class="received-title">
-          Received In Good Order &amp;
-          Condition
-        </div>
+  function setTemplateEditorStatus(
+    editor,
+    message,
+    isError = false
+  ) {
+    const status = editor.overlay.querySelector(
+      "[data-template-status]"
+    );
 
-        <textarea
-          rows="1"
-          placeholder="Name:"
-        ></textarea>
+    status.textContent = message;
+    status.style.color = isError
+      ? "#b00020"
+      : "#1b5e20";
+  }
 
-        <textarea
-          rows="2"
-          placeholder="Sign:"
-        ></textarea>
+  function renderTemplatePreview(editor) {
+    const { data, kind } = editor;
+    const text = editor.textarea.value;
+    const removed = new Set();
 
-        <textarea
-          rows="1"
-          placeholder="Date: __ / __ / ____"
-        ></textarea>
-      </div>
-    </div>
+    let page;
 
-    <h2 class="delivery-title">
-      Delivery Note
-    </h2>
+    try {
+      page = renderTemplate(
+        text,
+        buildTemplateContext(
+          data,
+          buildPreviewProductTable(data.rows, kind),
+          kind
+        )
+      );
+    } catch (error) {
+      setTemplateEditorStatus(
+        editor,
+        error.message,
+        true
+      );
+      return;
+    }
 
-    <div class="address-grid">
-      <div>
-        <div class="address-heading">
-          INVOICE TO
-        </div>
+    editor.preview.srcdoc = wrapPrintDocument(
+      `${TEMPLATE_DOCUMENT_KINDS[kind]} preview`,
+      sanitizeRenderedPage(page, removed)
+    );
 
-        <div class="address-value">${escapeHtml(
-          data.billingAddress
-        )}</div>
-      </div>
+    const unsaved =
+      text === getTemplate(kind)
+        ? ""
+        : "Unsaved changes.";
+
+    if (removed.size) {
+      setTemplateEditorStatus(
+        editor,
+        `${unsaved} Not allowed on printed pages, so left out: ${Array.from(
+          removed
+        ).join(", ")}.`.trim(),
+        true
+      );
+      return;
+    }
 
-      <div>
-        <div class="address-heading">
-          SHIP TO
-        </div>
+    setTemplateEditorStatus(editor, unsaved);
+  }
 
-        <div class="address-value">${escapeHtml(
-          data.shippingAddress
-        )}</div>
-      </div>
+  function schedulePreview(editor) {
+    clearTimeout(editor.previewTimer);
+
+    editor.previewTimer = setTimeout(
+      () => renderTemplatePreview(editor),
+      TEMPLATE_PREVIEW_DELAY_MS
+    );
+  }
+
+  function selectTemplateKind(editor, kind) {
+    editor.kind = kind;
+    editor.textarea.value = getTemplate(kind);
+    renderTemplatePreview(editor);
+  }
 
-      <div class="invoice-summary">
-        <div>
-          <strong>INVOICE NO.:</strong>${escapeHtml(
-            data.invoiceNumber
-          )}
-        </div>
+  /*
+   * .json replaces every kind it names; .html goes into the
+   * editor for the selected kind and still needs saving.
+   */
+  async function importTemplates(editor) {
+    const file = await chooseFile(
+      ".json,.html,.htm,application/json,text/html"
+    );
 
-        <div>
-          <strong>DATE:</strong>${escapeHtml(
-            data.invoiceDate
-          )}
-        </div>
-      </div>
-    </div>
+    if (!file) return;
 
-    <hr class="separator">
+    const text = await file.text();
 
-    <div class="order-grid">
-      <div>
-        <div class="order-heading">
-          ORDER NUMBER
-        </div>
+    if (!/\.json$/i.test(file.name)) {
+      editor.textarea.value = text;
+      renderTemplatePreview(editor);
+      return;
+    }
 
-        <div class="order-value">${escapeHtml(
-          data.orderNumber || ""
-        )}</div>
-      </div>
+    try {
+      const parsed = JSON.parse(text);
+      const templates = parsed?.templates || parsed;
+      const kinds = Object.keys(templates).filter(
+        (kind) =>
+          kind in TEMPLATE_DOCUMENT_KINDS &&
+          typeof templates[kind] === "string"
+      );
 
-      <div>
-        <div class="order-heading">
-          JOB NAME
-        </div>
+      if (!kinds.length) {
+        throw new Error(
+          "it has no deliveryNote, pickSlip or partialDelivery template"
+        );
+      }
 
-        <div class="order-value">${escapeHtml(
-          data.jobName || ""
-        )}</div>
-      </div>
+      for (const kind of kinds) {
+        parseTemplate(templates[kind]);
+      }
 
-      <div>
-        <div class="order-heading">
-          PHONE
-        </div>
+      for (const kind of kinds) {
+        saveTemplate(kind, templates[kind]);
+      }
 
-        <div class="order-value">${escapeHtml(
-          data.phoneNumber || ""
-        )}</div>
-      </div>
-    </div>
+      log("Imported templates", kinds);
 
-    <div class="products-section">
-      ${productTable}
-    </div>
+      selectTemplateKind(editor, editor.kind);
 
-    <div class="signoff">
-      <span>
-        Picked By: _______________
-      </span>
+      setTemplateEditorStatus(
+        editor,
+        `Imported ${kinds
+          .map((kind) => TEMPLATE_DOCUMENT_KINDS[kind])
+          .join(", ")}.`
+      );
+    } catch (error) {
+      warn("Template import failed", file.name, error);
 
-      <span>
-        Checked By: _______________
-      </span>
-    </div>
-  </div>
-</body>
-</html>
-    `;
+      alert(
+        `Could not import ${file.name}: ${error.message}`
+      );
+    }
   }
 
-  // =========================================================
-  // Print execution
-  // =========================================================
+  function exportTemplates() {
+    const templates = {};
 
-  async function generateProductTable(
-    combineQuantities
-  ) {
-    if (STATE.printing) return;
+    for (const kind of Object.keys(
+      TEMPLATE_DOCUMENT_KINDS
+    )) {
+      templates[kind] = getTemplate(kind);
+    }
+
+    downloadFile(
+      "delivery-note-templates.json",
+      JSON.stringify({ templates }, null, 2),
+      "application/json"
+    );
+  }
+
+  async function openTemplateEditor() {
+    if (STATE.printing || STATE.templateEditor) {
+      return;
+    }
 
     STATE.printing = true;
 
+    let data;
+
     try {
-      const data =
-        await getStableExtractedData();
+      data = await readPrintableData();
+    } finally {
+      STATE.printing = false;
+    }
 
-      if (!data.rows.length) {
-        alert(
-          "No invoice line items were found. Please allow the invoice to finish loading and try again."
-        );
+    if (!data) return;
 
-        return;
-      }
+    closeToolsPanel();
 
-      const productTable =
-        buildProductTable(
-          data.rows,
-          combineQuantities
-        );
+    const overlay = document.createElement("div");
+    overlay.id = "custom-template-editor";
 
-      const printLayout =
-        generatePrintLayout(
-          data,
-          productTable
-        );
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding: 12px 14px;
+      background: #fff;
+      color: #000;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      z-index: 2147483647;
+    `;
 
-      const printWindow = window.open(
-        "",
-        "_blank",
-        "width=1000,height=760"
-      );
+    overlay.innerHTML = `
+      <div style="display:flex;align-items:center;gap:6px;flex-wrap:wrap;">
+        <strong style="font-size:15px;margin-right:8px;">Print templates</strong>
+        <select data-template-kind>
+          ${Object.entries(TEMPLATE_DOCUMENT_KINDS)
+            .map(
+              ([kind, label]) =>
+                `<option value="${kind}">${escapeHtml(
+                  label
+                )}</option>`
+            )
+            .join("")}
+        </select>
+        <button type="button" data-template-action="save">Save</button>
+        <button type="button" data-template-action="reset">Reset to default</button>
+        <button type="button" data-template-action="import">Import…</button>
+        <button type="button" data-template-action="export">Export all</button>
+        <span data-template-status style="flex:1;font-weight:700;"></span>
+        <button type="button" data-template-action="close">Close</button>
+      </div>
+      <div style="display:flex;gap:10px;flex:1;min-height:0;">
+        <div style="display:flex;flex-direction:column;gap:6px;width:42%;min-height:0;">
+          <textarea data-template-text spellcheck="false" style="flex:1;font-family:monospace;font-size:12px;white-space:pre;"></textarea>
+          <div style="max-height:32%;overflow:auto;border-top:1px solid #ddd;padding-top:4px;">
+            <table style="border-collapse:collapse;">
+              ${TEMPLATE_HELP.map(
+                ([placeholder, meaning]) => `
+                  <tr>
+                    <td style="padding:1px 8px 1px 0;font-family:monospace;">${escapeHtml(
+                      placeholder
+                    )}</td>
+                    <td style="padding:1px 0;color:#555;">${escapeHtml(
+                      meaning
+                    )}</td>
+                  </tr>
+                `
+              ).join("")}
+            </table>
+            <p style="margin:4px 0 0;color:#555;">
+              Custom fields on this invoice:
+              ${
+                Object.keys(data.customFields || {})
+                  .map(escapeHtml)
+                  .join(", ") || "none"
+              }
+            </p>
+          </div>
+        </div>
+        <iframe data-template-preview title="Preview" sandbox style="flex:1;border:1px solid #999;background:#fff;"></iframe>
+      </div>
+    `;
 
-      if (!printWindow) {
-        alert(
-          "The print window was blocked. Please allow popups for qbo.intuit.com."
-        );
+    const editor = {
+      data,
+      kind: "deliveryNote",
+      overlay,
+      textarea: overlay.querySelector(
+        "[data-template-text]"
+      ),
+      preview: overlay.querySelector(
+        "[data-template-preview]"
+      ),
+      previewTimer: null,
+    };
 
+    const kindSelect = overlay.querySelector(
+      "[data-template-kind]"
+    );
+
+    kindSelect.addEventListener("change", () => {
+      if (
+        editor.textarea.value !==
+          getTemplate(editor.kind) &&
+        !confirm("Discard unsaved changes?")
+      ) {
+        kindSelect.value = editor.kind;
         return;
       }
 
-      printWindow.document.open();
-      printWindow.document.write(
-        printLayout
-      );
-      printWindow.document.close();
+      selectTemplateKind(editor, kindSelect.value);
+    });
 
-      const triggerPrint = () => {
-        setTimeout(() => {
-          printWindow.focus();
-          printWindow.print();
-        }, 350);
-      };
+    editor.textarea.addEventListener("input", () =>
+      schedulePreview(editor)
+    );
 
-      if (
-        printWindow.document.readyState ===
-        "complete"
-      ) {
-        triggerPrint();
-      } else {
-        printWindow.addEventListener(
-          "load",
-          triggerPrint,
-          { once: true }
-        );
+    const actions = {
+      save() {
+        try {
+          saveTemplate(
+            editor.kind,
+            editor.textarea.value
+          );
+        } catch (error) {
+          setTemplateEditorStatus(
+            editor,
+            `Not saved: ${error.message}`,
+            true
+          );
+          return;
+        }
+
+        selectTemplateKind(editor, editor.kind);
+        setTemplateEditorStatus(editor, "Saved.");
+      },
+      reset() {
+        editor.textarea.value =
+          DEFAULT_PAGE_TEMPLATE;
+        renderTemplatePreview(editor);
+      },
+      import: () => importTemplates(editor),
+      export: exportTemplates,
+      close() {
+        if (
+          editor.textarea.value !==
+            getTemplate(editor.kind) &&
+          !confirm("Close without saving?")
+        ) {
+          return;
+        }
+
+        closeTemplateEditor();
+      },
+    };
+
+    overlay.addEventListener("click", (event) => {
+      const button = event.target.closest(
+        "[data-template-action]"
+      );
+
+      if (button) {
+        actions[button.dataset.templateAction]();
       }
-    } finally {
-      STATE.printing = false;
-    }
+    });
+
+    STATE.templateEditor = editor;
+    document.body.appendChild(overlay);
+
+    selectTemplateKind(editor, editor.kind);
   }
 
   // =========================================================
@@ -1550,6 +11629,90 @@
         "custom-pick-slip-button"
       )
       ?.remove();
+
+    document
+      .getElementById(
+        "custom-delivery-button"
+      )
+      ?.remove();
+
+    document
+      .getElementById(
+        "custom-scan-pick-button"
+      )
+      ?.remove();
+
+    document
+      .getElementById(
+        "custom-tools-button"
+      )
+      ?.remove();
+
+    document
+      .getElementById(
+        "custom-pdf-button"
+      )
+      ?.remove();
+
+    document
+      .getElementById(
+        "custom-labels-button"
+      )
+      ?.remove();
+
+    closeToolsPanel();
+    closePdfMenu();
+    closeLabelsMenu();
+  }
+
+  /*
+   * The delivery, scan-pick and template overlays hold work in
+   * progress, so QBO re-rendering the form (which briefly hides
+   * the printable view) leaves them alone. They close when the
+   * user opens another page or transaction, after asking when
+   * picked quantities or template edits would be lost.
+   */
+  function getNavigationKey() {
+    return `${location.pathname}|${
+      getInvoiceId() || ""
+    }`;
+  }
+
+  function closeOverlaysOnNavigation() {
+    const navigationKey = getNavigationKey();
+
+    if (navigationKey === STATE.navigationKey) {
+      return;
+    }
+
+    STATE.navigationKey = navigationKey;
+
+    closeDeliveryCapture();
+
+    const session = STATE.scanPick;
+
+    if (
+      session &&
+      (!session.lines.some((line) => line.picked) ||
+        confirm(
+          `You moved away from ${session.data.invoiceNumber} while scanning. Discard the picked quantities?`
+        ))
+    ) {
+      closeScanPick();
+    }
+
+    const editor = STATE.templateEditor;
+
+    if (
+      editor &&
+      (editor.textarea.value ===
+        getTemplate(editor.kind) ||
+        confirm(
+          "You moved to another page. Discard the unsaved template changes?"
+        ))
+    ) {
+      closeTemplateEditor();
+    }
   }
 
   async function addButtons() {
@@ -1560,10 +11723,7 @@
     STATE.addButtonsInFlight = true;
 
     try {
-      if (
-        !isInvoicePage() ||
-        !isInvoiceEditorOpen()
-      ) {
+      if (!isPrintableViewOpen()) {
         removeButtons();
         return;
       }
@@ -1613,6 +11773,81 @@
           )
         );
       }
+
+      if (
+        !document.getElementById(
+          "custom-delivery-button"
+        )
+      ) {
+        document.body.appendChild(
+          createButton(
+            "custom-delivery-button",
+            "🚚 Delivery",
+            printPartialDelivery,
+            "calc(14% + 250px)"
+          )
+        );
+      }
+
+      if (
+        !document.getElementById(
+          "custom-scan-pick-button"
+        )
+      ) {
+        document.body.appendChild(
+          createButton(
+            "custom-scan-pick-button",
+            "📦 Scan Pick",
+            startScanPick,
+            "calc(14% + 375px)"
+          )
+        );
+      }
+
+      if (
+        !document.getElementById(
+          "custom-tools-button"
+        )
+      ) {
+        document.body.appendChild(
+          createButton(
+            "custom-tools-button",
+            "🧰 Tools",
+            openToolsPanel,
+            "calc(14% + 500px)"
+          )
+        );
+      }
+
+      if (
+        !document.getElementById(
+          "custom-pdf-button"
+        )
+      ) {
+        document.body.appendChild(
+          createButton(
+            "custom-pdf-button",
+            "📄 PDF",
+            openPdfMenu,
+            "calc(14% + 625px)"
+          )
+        );
+      }
+
+      if (
+        !document.getElementById(
+          "custom-labels-button"
+        )
+      ) {
+        document.body.appendChild(
+          createButton(
+            "custom-labels-button",
+            "🏷️ Labels",
+            openLabelsMenu,
+            "calc(14% + 750px)"
+          )
+        );
+      }
     } finally {
       STATE.addButtonsInFlight = false;
     }
@@ -1627,10 +11862,10 @@
 
     STATE.mutationTimer =
       setTimeout(() => {
-        if (
-          isInvoicePage() &&
-          isInvoiceEditorOpen()
-        ) {
+        closeOverlaysOnNavigation();
+        refreshWaveButton();
+
+        if (isPrintableViewOpen()) {
           addButtons();
         } else {
           removeButtons();
@@ -1704,25 +11939,57 @@
   // Initialise
   // =========================================================
 
-  setupObservers();
+  /*
+   * The script runs at document-start so fetch and XHR are
+   * wrapped before QBO requests the transaction it opens with;
+   * everything that needs the page waits for the DOM.
+   */
+  installPayloadCapture();
+
+  function startWhenReady() {
+    if (document.readyState === "loading") {
+      document.addEventListener(
+        "DOMContentLoaded",
+        startWhenReady,
+        { once: true }
+      );
 
-  setInterval(() => {
-    if (
-      isInvoicePage() &&
-      isInvoiceEditorOpen()
-    ) {
-      addButtons();
-    } else {
-      removeButtons();
+      return;
     }
-  }, CONFIG.buttonCheckIntervalMs);
 
-  setTimeout(() => {
-    if (
-      isInvoicePage() &&
-      isInvoiceEditorOpen()
-    ) {
-      addButtons();
+    if (isWaveWorker()) {
+      // Hidden pick-wave frame: report the invoice, no buttons.
+      setTimeout(
+        runWaveWorker,
+        CONFIG.initialBootDelayMs
+      );
+
+      return;
     }
-  }, CONFIG.initialBootDelayMs);
+
+    setupObservers();
+
+    setInterval(() => {
+      closeOverlaysOnNavigation();
+      refreshWaveButton();
+
+      if (isPrintableViewOpen()) {
+        addButtons();
+        refreshDiagnostics();
+      } else {
+        removeButtons();
+        removeDiagnosticsPanel();
+      }
+    }, CONFIG.buttonCheckIntervalMs);
+
+    setTimeout(() => {
+      refreshWaveButton();
+
+      if (isPrintableViewOpen()) {
+        addButtons();
+      }
+    }, CONFIG.initialBootDelayMs);
+  }
+
+  startWhenReady();
 })();
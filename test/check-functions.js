@@ -0,0 +1,104 @@
+/*
+ * Calls the userscript's template engine, page sanitizer,
+ * Code 128 encoder and ZPL helpers with the arguments in
+ * fixtures/functions and compares what comes back (or the
+ * error thrown) with what each case expects.
+ *
+ *   node test/check-functions.js
+ *
+ * The sanitizer parses HTML, so its cases need jsdom; without
+ * it they are skipped and the rest still run.
+ */
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { loadUserscript } = require("./load-userscript");
+
+const FIXTURE_DIR = path.join(
+  __dirname,
+  "fixtures",
+  "functions"
+);
+
+const EXPOSED = [
+  "renderTemplate",
+  "sanitizeRenderedPage",
+  "encodeCode128",
+  "escapeZpl",
+  "zplText",
+  "zplBarcode",
+];
+
+function loadDocument() {
+  try {
+    const { JSDOM } = require("jsdom");
+    return new JSDOM("").window.document;
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkCase(userscript, name, testCase) {
+  const fn = userscript[name];
+  assert.strictEqual(
+    typeof fn,
+    "function",
+    `${name} is not a function`
+  );
+
+  if (testCase.throws) {
+    assert.throws(() => fn(...testCase.args), {
+      message: testCase.throws,
+    });
+    return;
+  }
+
+  // Plain values, so the vm context's prototypes don't matter.
+  const actual = JSON.parse(
+    JSON.stringify(fn(...testCase.args) ?? null)
+  );
+
+  assert.deepStrictEqual(actual, testCase.expected);
+}
+
+const realDocument = loadDocument();
+const userscript = loadUserscript(
+  EXPOSED,
+  realDocument ? { document: realDocument } : {}
+);
+let failures = 0;
+
+for (const file of fs
+  .readdirSync(FIXTURE_DIR)
+  .filter((name) => name.endsWith(".json"))
+  .sort()) {
+  const fixture = JSON.parse(
+    fs.readFileSync(
+      path.join(FIXTURE_DIR, file),
+      "utf8"
+    )
+  );
+
+  if (fixture.needsDocument && !realDocument) {
+    console.log(
+      `skip ${file}: needs jsdom (npm install --no-save jsdom)`
+    );
+    continue;
+  }
+
+  for (const testCase of fixture.cases) {
+    const name = testCase.function || fixture.function;
+
+    try {
+      checkCase(userscript, name, testCase);
+      console.log(`ok   ${file}: ${testCase.description}`);
+    } catch (error) {
+      failures++;
+      console.log(
+        `FAIL ${file}: ${testCase.description}: ${error.message}`
+      );
+    }
+  }
+}
+
+process.exitCode = failures ? 1 : 0;
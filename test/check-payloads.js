@@ -0,0 +1,94 @@
+/*
+ * Feeds the recorded QuickBooks responses in fixtures/payloads
+ * through the userscript's payload capture and compares the
+ * print data built from them with what each fixture expects.
+ *
+ *   node test/check-payloads.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { loadUserscript } = require("./load-userscript");
+
+const FIXTURE_DIR = path.join(
+  __dirname,
+  "fixtures",
+  "payloads"
+);
+
+const EXPOSED = [
+  "STATE",
+  "inspectPayloadText",
+  "getCapturedData",
+];
+
+function pickKeys(source, keys) {
+  return Object.fromEntries(
+    keys.map((key) => [key, source?.[key]])
+  );
+}
+
+function checkFixture(userscript, fixture) {
+  userscript.STATE.capturedTransactions.clear();
+  userscript.STATE.capturedItems.clear();
+
+  for (const response of fixture.responses) {
+    userscript.inspectPayloadText(
+      response.url,
+      JSON.stringify(response.body)
+    );
+  }
+
+  const data = userscript.getCapturedData(
+    fixture.expected.transactionType,
+    fixture.transactionId
+  );
+
+  assert.ok(data, "no transaction was captured");
+
+  const { rows: expectedRows, ...header } =
+    fixture.expected;
+
+  // Plain objects, so the vm context's prototypes don't matter.
+  const actual = JSON.parse(JSON.stringify(data));
+
+  assert.deepStrictEqual(
+    pickKeys(actual, Object.keys(header)),
+    header
+  );
+
+  assert.deepStrictEqual(
+    actual.rows.map((row, index) =>
+      pickKeys(
+        row,
+        Object.keys(expectedRows[index] || row)
+      )
+    ),
+    expectedRows
+  );
+}
+
+const userscript = loadUserscript(EXPOSED);
+let failures = 0;
+
+for (const file of fs
+  .readdirSync(FIXTURE_DIR)
+  .filter((name) => name.endsWith(".json"))
+  .sort()) {
+  const fixture = JSON.parse(
+    fs.readFileSync(
+      path.join(FIXTURE_DIR, file),
+      "utf8"
+    )
+  );
+
+  try {
+    checkFixture(userscript, fixture);
+    console.log(`ok   ${file}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAIL ${file}: ${error.message}`);
+  }
+}
+
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,84 @@
+/*
+ * Runs the userscript in a bare vm context and hands back the
+ * internals a check names. Only the few browser globals it
+ * touches while starting up are stubbed; globals replaces or
+ * adds to them (a real document, for example).
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SCRIPT_PATH = path.join(
+  __dirname,
+  "..",
+  "add_button_new.js"
+);
+
+function loadUserscript(exposed, globals = {}) {
+  const noop = () => {};
+
+  function FakeXMLHttpRequest() {}
+  FakeXMLHttpRequest.prototype.open = noop;
+  FakeXMLHttpRequest.prototype.send = noop;
+
+  // Payload capture remembers the company for the tab.
+  const sessionValues = new Map();
+
+  const context = {
+    console,
+    URL,
+    Blob,
+    TextEncoder,
+    setTimeout: noop,
+    clearTimeout: noop,
+    setInterval: noop,
+    fetch: () => new Promise(noop),
+    XMLHttpRequest: FakeXMLHttpRequest,
+    MutationObserver: class {
+      observe() {}
+    },
+    sessionStorage: {
+      getItem: (key) =>
+        sessionValues.get(key) ?? null,
+      setItem: (key, value) =>
+        sessionValues.set(key, String(value)),
+    },
+    history: {
+      pushState: noop,
+      replaceState: noop,
+    },
+    location: {
+      href: "https://qbo.intuit.com/app/homepage",
+      pathname: "/app/homepage",
+    },
+    document: {
+      body: {},
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      getElementById: () => null,
+    },
+    addEventListener: noop,
+    name: "",
+    ...globals,
+  };
+
+  context.window = context;
+  context.parent = context;
+
+  const source = fs
+    .readFileSync(SCRIPT_PATH, "utf8")
+    .replace(
+      /\}\)\(\);\s*$/,
+      `globalThis.__userscript = { ${exposed.join(
+        ", "
+      )} };\n})();`
+    );
+
+  vm.runInNewContext(source, context, {
+    filename: SCRIPT_PATH,
+  });
+
+  return context.__userscript;
+}
+
+module.exports = { loadUserscript };